@@ -4,10 +4,22 @@ const {
     CompletionItemKind,
     TextDocumentSyncKind,
     MarkupKind,
+    DiagnosticSeverity,
+    ResponseError,
+    ErrorCodes,
+    CodeActionKind,
+    SymbolKind,
+    DidChangeWatchedFilesNotification,
+    WatchKind,
+    LSPErrorCodes,
 } = require("vscode-languageserver/node");
 const { TextDocument } = require("vscode-languageserver-textdocument");
+const YAML = require("yaml");
+const crypto = require("crypto");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const { pathToFileURL, fileURLToPath } = require("url");
 
 // 로거 유틸리티
 const logger = {
@@ -27,35 +39,264 @@ const logger = {
 // 설정 상수
 const CONFIG = {
     SCAN_INTERVAL: 5000,
+    CHANGE_DEBOUNCE: 100,
+    INDEX_CONCURRENCY: 16,
+    INDEX_SAVE_DELAY: 5000,
     FILE_EXTENSION: ".md",
     MAX_COMPLETION_RESULTS: 50,
+    COMPLETION_LINK_BOOST: 40,
+    COMPLETION_RECENT_BOOST: 30,
+    COMPLETION_RECENT_DAYS: 30,
+    MAX_SECTION_PREVIEW_LINES: 20,
+    HOVER_EXCERPT_LINES: 8,
+    MAX_HOVER_HEADINGS: 10,
+    MAX_WORKSPACE_SYMBOLS: 100,
+    MAX_TAG_HOVER_PAGES: 10,
     ENCODING: "utf-8",
+    DIARY_REL_PATH: "diary",
+    DIARY_INDEX: "diary",
+    DIARY_HEADER: "Diary",
+    UPDATED_FORMAT: "YYYY-MM-DD HH:mm",
+    GRAPH_DEPTH: 1,
+    DIAGNOSTIC_SOURCE: "vimwiki-lsp",
 };
 
+// 저장된 인덱스 형식 버전 (형식이나 파싱 결과가 바뀌면 올려서 이전 캐시를 버림)
+const INDEX_FORMAT_VERSION = 4;
+
+// 진단 심각도 설정값 매핑 ("off"는 진단 비활성화)
+const SEVERITY_LEVELS = {
+    error: DiagnosticSeverity.Error,
+    warning: DiagnosticSeverity.Warning,
+    information: DiagnosticSeverity.Information,
+    hint: DiagnosticSeverity.Hint,
+    off: null,
+};
+
+// 위키 링크 스킴 ([[diary:2025-01-01]], [[file:../notes.txt]] 등)
+// 다른 위키로의 링크는 [[wiki1:page]] (0부터 시작하는 번호) 또는 [[wn.이름:page]]
+const LINK_SCHEME_REGEX =
+    /^(diary|file|local|wiki\d+|wn\.[^:|#]+|https?|ftp|mailto):/i;
+const EXTERNAL_SCHEMES = ["http", "https", "ftp", "mailto"];
+
+// 이미지 링크로 취급하는 확장자
+const IMAGE_EXTENSIONS = [
+    ".png",
+    ".jpg",
+    ".jpeg",
+    ".gif",
+    ".svg",
+    ".webp",
+    ".bmp",
+];
+
+// 마크다운 이미지 ![대체 텍스트](경로 "제목")와 본문에 그대로 쓴 URL
+const MARKDOWN_IMAGE_REGEX =
+    /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g;
+
+// 마크다운 인라인 링크 [텍스트](대상 "제목"), 참조 링크 [텍스트][이름], 참조 정의 [이름]: 대상
+const MARKDOWN_LINK_REGEX =
+    /!?\[([^\]]*)\]\((\s*)(<[^>]*>|[^)\s]+)(?:\s+["'(][^"')]*["')])?\s*\)/g;
+const MARKDOWN_REFERENCE_REGEX =
+    /(?<!\[)\[([^[\]]+)\](?:\[([^[\]]*)\])?(?![(:\]])/g;
+const MARKDOWN_DEFINITION_REGEX =
+    /^( {0,3}\[([^\]]+)\]:\s*)(<[^>]*>|\S+)(?:\s+["'(].*["')])?\s*$/;
+const URL_REGEX = /\b(?:https?|ftp):\/\/[^\s<>()[\]{}"'`]+/g;
+
+// 진단 코드 (코드 액션에서 진단 종류 구분용)
+const DIAGNOSTIC_CODES = {
+    BROKEN_LINK: "broken-link",
+    AMBIGUOUS_LINK: "ambiguous-link",
+    BROKEN_ANCHOR: "broken-anchor",
+    FRONTMATTER_ERROR: "frontmatter-error",
+    ALIAS_CONFLICT: "alias-conflict",
+};
+
+// workspace/executeCommand 명령
+const COMMANDS = {
+    CREATE_PAGE: "vimwiki.createPage",
+    MAKE_DIARY_NOTE: "vimwiki.makeDiaryNote",
+    DIARY_NEXT_DAY: "vimwiki.diaryNextDay",
+    DIARY_PREV_DAY: "vimwiki.diaryPrevDay",
+    DIARY_GENERATE_LINKS: "vimwiki.diaryGenerateLinks",
+    REPORT: "vimwiki.report",
+};
+
+// 상대 날짜 자동완성용 요일 이름 (Date.getDay() 순서)
+const WEEKDAYS = [
+    "sunday",
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+];
+
+// 템플릿이 설정되지 않았을 때 사용하는 새 페이지 내용
+const DEFAULT_PAGE_TEMPLATE = [
+    "---",
+    "title: {{title}}",
+    "summary: ",
+    "date: {{date}}",
+    "updated: {{date}}",
+    "---",
+    "",
+    "",
+].join("\n");
+
+// VimWiki 기본 문법 페이지의 새 페이지 내용 (%title, %date 플레이스홀더)
+const DEFAULT_NATIVE_PAGE_TEMPLATE = [
+    "%title {{title}}",
+    "%date {{date}}",
+    "",
+    "",
+].join("\n");
+
+// 위키 문법별 규칙 (markdown, VimWiki 기본 문법은 "default")
+const SYNTAXES = {
+    markdown: {
+        extension: ".md",
+        headingRegex: /^(#{1,6})\s+(.+?)\s*#*\s*$/,
+        codeBlockStartRegex: /^\s*(```|~~~)/,
+        codeBlockEndRegex: /^\s*(```|~~~)/,
+        hasFrontmatter: true,
+        hasTransclusions: false,
+        hasMarkdownLinks: true,
+        pageTemplate: DEFAULT_PAGE_TEMPLATE,
+    },
+    default: {
+        extension: ".wiki",
+        headingRegex: /^\s*(={1,6})\s*([^=].*?)\s*\1\s*$/,
+        codeBlockStartRegex: /^\s*\{\{\{/,
+        codeBlockEndRegex: /^\s*\}\}\}/,
+        hasFrontmatter: false,
+        hasTransclusions: true,
+        hasMarkdownLinks: false,
+        pageTemplate: DEFAULT_NATIVE_PAGE_TEMPLATE,
+    },
+};
+
+// 위키 문법 규칙 조회
+class SyntaxUtils {
+    // 알 수 없는 문법은 markdown으로 취급
+    static get(syntax) {
+        return SYNTAXES[syntax] || SYNTAXES.markdown;
+    }
+
+    static isNative(syntax) {
+        return this.get(syntax) === SYNTAXES.default;
+    }
+
+    // 코드 블록을 열거나 닫는 줄인지 (```, {{{ ... }}})
+    static isCodeBlockBoundary(line, inCodeBlock, syntax) {
+        const rules = this.get(syntax);
+        return inCodeBlock
+            ? rules.codeBlockEndRegex.test(line)
+            : rules.codeBlockStartRegex.test(line);
+    }
+}
+
 // Frontmatter 파서
 class FrontmatterParser {
     static parse(content) {
+        return this.parseWithErrors(content).data;
+    }
+
+    // YAML 값(배열, 날짜, 불리언, 중첩 맵)과 파싱 오류를 함께 반환
+    static parseWithErrors(content) {
+        const block = this.getBlock(content);
+        if (!block) return { data: null, errors: [], block: null };
+
+        const yamlText = block.lines.slice(1, block.endLine).join("\n");
+        const document = YAML.parseDocument(yamlText, {
+            customTags: ["timestamp"],
+            prettyErrors: true,
+        });
+
+        // 오류 위치는 YAML 본문 기준 1부터 시작하므로 여는 --- 줄만큼 보정
+        const errors = document.errors.map((error) => ({
+            message: error.message
+                .split("\n")[0]
+                .replace(/\s+at line \d+, column \d+:?$/, ""),
+            line: block.startLine + (error.linePos?.[0]?.line || 1),
+        }));
+
+        let data = {};
+        try {
+            const value = document.toJS();
+            if (value && typeof value === "object" && !Array.isArray(value)) {
+                data = value;
+            }
+        } catch (error) {
+            logger.log("frontmatter 변환 실패:", error.message);
+        }
+
+        return { data, errors, block };
+    }
+
+    // frontmatter 블록의 줄 범위와 각 최상위 키가 있는 줄 (블록이 없으면 null)
+    static getBlock(content) {
         if (!content || typeof content !== "string") return null;
 
-        const regex = /^---\s*\n([\s\S]*?)\n---\s*\n/;
-        const match = content.match(regex);
-        if (!match) return null;
+        const lines = content
+            .replace(/^\uFEFF/, "")
+            .split("\n")
+            .map((line) => line.replace(/\r$/, ""));
+        if (!/^---\s*$/.test(lines[0])) return null;
+
+        const endLine = lines.findIndex(
+            (line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line)
+        );
+        if (endLine === -1) return null;
 
-        const frontmatter = {};
-        const lines = match[1].split("\n");
+        const keys = [];
+        for (let i = 1; i < endLine; i++) {
+            const match = lines[i].match(/^([^\s#:\-][^:]*):(?:\s+(.*))?$/);
+            if (match) {
+                keys.push({
+                    key: match[1].trim(),
+                    value: match[2] || "",
+                    line: i,
+                });
+            }
+        }
 
-        for (const line of lines) {
-            const colonIndex = line.indexOf(":");
-            if (colonIndex !== -1) {
-                const key = line.substring(0, colonIndex).trim();
-                const value = line.substring(colonIndex + 1).trim();
-                if (key) {
-                    frontmatter[key] = value;
-                }
+        return { startLine: 0, endLine, keys, lines };
+    }
+}
+
+// VimWiki 기본 문법의 %title, %date 등 플레이스홀더 파서
+class PlaceholderParser {
+    // 값이 있는 플레이스홀더를 frontmatter와 같은 형태로 반환 (없으면 null)
+    static parse(content) {
+        if (!content || typeof content !== "string") return null;
+
+        const data = {};
+        for (const line of content.replace(/^\uFEFF/, "").split("\n")) {
+            const match = line.replace(/\r$/, "").match(/^%(\w+)\s+(.+?)\s*$/);
+            if (match && !(match[1] in data)) {
+                data[match[1]] = match[2];
             }
         }
 
-        return frontmatter;
+        return Object.keys(data).length > 0 ? data : null;
+    }
+}
+
+// 문법에 따른 페이지 메타데이터 (markdown은 frontmatter, 기본 문법은 플레이스홀더)
+class MetadataParser {
+    static parse(content, syntax) {
+        return SyntaxUtils.get(syntax).hasFrontmatter
+            ? FrontmatterParser.parse(content)
+            : PlaceholderParser.parse(content);
+    }
+
+    // frontmatter 블록 (기본 문법에는 없으므로 항상 null)
+    static getBlock(content, syntax) {
+        return SyntaxUtils.get(syntax).hasFrontmatter
+            ? FrontmatterParser.getBlock(content)
+            : null;
     }
 }
 
@@ -92,17 +333,119 @@ class FileUtils {
         }
     }
 
-    static isMarkdownFile(fileName) {
+    static formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    static isPageFile(fileName, extension = CONFIG.FILE_EXTENSION) {
         return (
             fileName &&
             typeof fileName === "string" &&
-            fileName.endsWith(CONFIG.FILE_EXTENSION)
+            fileName.endsWith(extension)
         );
     }
 
-    static removeExtension(fileName) {
+    static removeExtension(fileName, extension = CONFIG.FILE_EXTENSION) {
         if (!fileName || typeof fileName !== "string") return "";
-        return fileName.replace(new RegExp(`\\${CONFIG.FILE_EXTENSION}$`), "");
+        return fileName.endsWith(extension)
+            ? fileName.slice(0, -extension.length)
+            : fileName;
+    }
+
+    // 확장자를 뺀 파일 이름
+    static getPageName(filePath, extension = CONFIG.FILE_EXTENSION) {
+        return this.removeExtension(path.basename(filePath), extension);
+    }
+}
+
+// 날짜 유틸리티
+class DateUtils {
+    // 로컬 시간 기준 YYYY-MM-DD
+    static formatDate(date = new Date()) {
+        const pad = (value) => String(value).padStart(2, "0");
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+            date.getDate()
+        )}`;
+    }
+
+    // YYYY, MM, DD, HH, mm, ss 토큰을 로컬 시간 값으로 치환
+    static format(date, pattern) {
+        const pad = (value) => String(value).padStart(2, "0");
+        const tokens = {
+            YYYY: String(date.getFullYear()),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds()),
+        };
+
+        return pattern.replace(
+            /YYYY|MM|DD|HH|mm|ss/g,
+            (token) => tokens[token]
+        );
+    }
+
+    // YYYY-MM-DD를 로컬 시간 자정의 Date로 변환 (없는 날짜면 null)
+    static parseDate(text) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || "");
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getMonth() === month - 1 && date.getDate() === day
+            ? date
+            : null;
+    }
+
+    static addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    // today, yesterday, tomorrow, last monday, next friday 등의 날짜
+    static getRelativeDates(now = new Date()) {
+        const today = new Date(
+            now.getFullYear(),
+            now.getMonth(),
+            now.getDate()
+        );
+        const dates = [
+            { label: "today", date: today },
+            { label: "yesterday", date: this.addDays(today, -1) },
+            { label: "tomorrow", date: this.addDays(today, 1) },
+        ];
+
+        // 오늘과 같은 요일이면 last/next는 일주일 전/후
+        for (const direction of ["last", "next"]) {
+            for (let offset = 1; offset <= 7; offset++) {
+                const day = offset % 7;
+                const distance =
+                    direction === "last"
+                        ? -((today.getDay() - day + 7) % 7 || 7)
+                        : (day - today.getDay() + 7) % 7 || 7;
+                dates.push({
+                    label: `${direction} ${WEEKDAYS[day]}`,
+                    date: this.addDays(today, distance),
+                });
+            }
+        }
+
+        return dates;
+    }
+
+    // YYYY-MM-DD 또는 상대 날짜(today, last monday 등)를 Date로 변환
+    static resolve(text, now = new Date()) {
+        const value = (text || "").trim().toLowerCase();
+        if (!value) return this.getRelativeDates(now)[0].date;
+
+        const relative = this.getRelativeDates(now).find(
+            ({ label }) => label === value
+        );
+        return relative ? relative.date : this.parseDate(value);
     }
 }
 
@@ -115,24 +458,60 @@ class PathUtils {
         );
     }
 
-    static resolveWikiPath(wikiLink, currentDir, wikiRoot) {
+    static resolveWikiPath(
+        wikiLink,
+        currentDir,
+        wikiRoot,
+        extension = CONFIG.FILE_EXTENSION
+    ) {
         if (!wikiLink || !currentDir || !wikiRoot) return null;
 
         try {
             if (this.isRelativePath(wikiLink)) {
-                return path.resolve(
-                    currentDir,
-                    wikiLink + CONFIG.FILE_EXTENSION
-                );
+                return path.resolve(currentDir, wikiLink + extension);
             }
-            return path.join(wikiRoot, wikiLink + CONFIG.FILE_EXTENSION);
+            return path.join(wikiRoot, wikiLink + extension);
         } catch (error) {
             logger.log(`경로 해결 실패: ${wikiLink}`, error.message);
             return null;
         }
     }
 
-    static getRelativePath(from, to) {
+    // file:, local: 링크 대상 (절대 경로, ~, 현재 문서 기준 상대 경로)
+    static resolveFilePath(target, currentDir) {
+        if (!target || !currentDir) return null;
+
+        return path.resolve(currentDir, this.expandHome(target));
+    }
+
+    // 파싱된 링크가 가리키는 파일 경로 (존재 여부는 확인하지 않음)
+    static resolveLinkPath(link, currentDir, wikiRoot, options = {}) {
+        if (!link || !link.target) return null;
+
+        const extension = options.extension || CONFIG.FILE_EXTENSION;
+        switch (link.scheme) {
+            case null:
+                return this.resolveWikiPath(
+                    link.target,
+                    currentDir,
+                    wikiRoot,
+                    extension
+                );
+            case "diary":
+                return path.join(
+                    wikiRoot,
+                    options.diaryRelPath ?? CONFIG.DIARY_REL_PATH,
+                    link.target + extension
+                );
+            case "file":
+            case "local":
+                return this.resolveFilePath(link.target, currentDir);
+            default:
+                return null;
+        }
+    }
+
+    static getRelativePath(from, to, extension = CONFIG.FILE_EXTENSION) {
         if (
             !from ||
             !to ||
@@ -143,15 +522,58 @@ class PathUtils {
         }
 
         try {
-            return path
-                .relative(from, to)
-                .replace(new RegExp(`\\${CONFIG.FILE_EXTENSION}$`), "")
-                .replace(/\\/g, "/");
+            return FileUtils.removeExtension(
+                path.relative(from, to),
+                extension
+            ).replace(/\\/g, "/");
         } catch {
             return "";
         }
     }
 
+    // 위키 루트 기준, 확장자를 뺀 / 구분 경로 (예: "sub/page")
+    static toWikiPath(filePath, wikiRoot, extension = CONFIG.FILE_EXTENSION) {
+        return FileUtils.removeExtension(
+            path.relative(wikiRoot, filePath),
+            extension
+        ).replace(/\\/g, "/");
+    }
+
+    static toUri(filePath) {
+        if (!filePath || typeof filePath !== "string") return "";
+        return pathToFileURL(filePath).href;
+    }
+
+    static fromUri(uri) {
+        if (!uri || typeof uri !== "string") return "";
+
+        try {
+            return fileURLToPath(uri);
+        } catch {
+            return uri.replace("file://", "");
+        }
+    }
+
+    static isInside(filePath, dir) {
+        if (!filePath || !dir) return false;
+
+        const relativePath = path.relative(dir, filePath);
+        return (
+            relativePath === "" ||
+            (!relativePath.startsWith("..") && !path.isAbsolute(relativePath))
+        );
+    }
+
+    // ~로 시작하는 경로를 홈 디렉터리 기준 절대 경로로 변환
+    static expandHome(filePath) {
+        if (!filePath || typeof filePath !== "string") return filePath;
+        if (filePath === "~") return os.homedir();
+
+        return filePath.startsWith("~/")
+            ? path.join(os.homedir(), filePath.substring(2))
+            : filePath;
+    }
+
     static getDisplayDirectory(relativePath) {
         if (!relativePath || typeof relativePath !== "string") return "root";
 
@@ -162,560 +584,4653 @@ class PathUtils {
 
 // 위키 링크 파서
 class WikiLinkParser {
-    static extract(text, position) {
+    // syntax가 기본 문법이면 {{트랜스클루전}}도 링크로 취급
+    // 마크다운 문법이면 [텍스트](대상) 링크도 위키 링크 형태로 바꿔 반환
+    static extract(text, position, syntax = null, extension = null) {
+        const match = this.findAt(text, position, syntax, extension);
+        return match ? match.link : null;
+    }
+
+    // 커서 위치의 링크와 줄 안의 위치 (마크다운 링크는 대상 경로의 위치 포함)
+    static findAt(text, position, syntax = null, extension = null) {
         if (!text || typeof text !== "string" || typeof position !== "number") {
             return null;
         }
 
-        const regex = /\[\[([^\]]+)\]\]/g;
-        let match;
-
-        while ((match = regex.exec(text)) !== null) {
-            const start = match.index;
-            const end = match.index + match[0].length;
-
-            if (position >= start && position <= end) {
-                return match[1];
-            }
-        }
-
-        return null;
+        return (
+            this._matchLine(text, syntax, extension).find(
+                ({ start, end }) => position >= start && position <= end
+            ) || null
+        );
     }
 
-    static findCompletionTrigger(line, position) {
-        if (!line || typeof line !== "string" || typeof position !== "number") {
-            return null;
-        }
+    // 문서의 커서 위치에 있는 링크 (참조 링크 [텍스트][이름]은 정의를 찾아 해석)
+    static extractAt(content, position, syntax = null, extension = null) {
+        if (!content || typeof content !== "string" || !position) return null;
 
-        const prefix = line.slice(0, position);
-        const match = prefix.match(/\[\[([^\]]*)$/);
+        const line = (content.split("\n")[position.line] || "").replace(
+            /\r$/,
+            ""
+        );
+        const link = this.extract(line, position.character, syntax, extension);
+        if (link || !SyntaxUtils.get(syntax).hasMarkdownLinks) return link;
 
-        return match ? match[1] : null;
+        const reference = MarkdownLinkParser.extractReferences(
+            content,
+            extension || SyntaxUtils.get(syntax).extension
+        ).find(
+            ({ range }) =>
+                range.start.line === position.line &&
+                position.character >= range.start.character &&
+                position.character <= range.end.character
+        );
+        return reference ? reference.link : null;
     }
-}
 
-// 파일 정보 모델
-class FileInfo {
-    constructor(data = {}) {
-        this.title = data.title || "제목 없음";
-        this.summary = data.summary || "요약 없음";
-        this.date = data.date;
-        this.updated = data.updated;
-        this.exists = data.exists !== undefined ? data.exists : true;
-    }
+    // 문서 전체에서 링크와 위치 정보 추출 (코드 블록 안의 마크다운 링크는 제외)
+    // 마크다운 링크에는 원래 대상(destination)과 그 경로 부분의 범위(targetRange)가 있음
+    static extractAll(content, syntax = null, extension = null) {
+        if (!content || typeof content !== "string") return [];
 
-    static fromFrontmatter(frontmatter, filePath) {
-        if (!filePath) return new FileInfo({ exists: false });
+        const links = [];
+        const lines = content.split("\n");
+        let inCodeBlock = false;
 
-        const fileName = path.basename(filePath, CONFIG.FILE_EXTENSION);
-        return new FileInfo({
-            title: frontmatter?.title || fileName,
-            summary: frontmatter?.summary,
-            date: frontmatter?.date,
-            updated: frontmatter?.updated,
-            exists: true,
-        });
-    }
+        for (let i = 0; i < lines.length; i++) {
+            if (SyntaxUtils.isCodeBlockBoundary(lines[i], inCodeBlock, syntax)) {
+                inCodeBlock = !inCodeBlock;
+            }
 
-    static notFound(fileName) {
-        return new FileInfo({
-            title: fileName || "알 수 없는 파일",
-            summary: "파일을 찾을 수 없음",
-            exists: false,
-        });
+            for (const match of this._matchLine(
+                lines[i],
+                syntax,
+                extension,
+                !inCodeBlock
+            )) {
+                const link = {
+                    link: match.link,
+                    range: {
+                        start: { line: i, character: match.start },
+                        end: { line: i, character: match.end },
+                    },
+                };
+                if (match.destination !== undefined) {
+                    link.destination = match.destination;
+                    link.targetRange = {
+                        start: { line: i, character: match.targetStart },
+                        end: { line: i, character: match.targetEnd },
+                    };
+                }
+                links.push(link);
+            }
+        }
+
+        return links;
     }
 
-    toHoverContent() {
-        let content = `**${this.title}**\n\n`;
+    // 한 줄의 [[링크]], {{트랜스클루전}}, 마크다운 링크 위치 (시작 위치 순)
+    static _matchLine(line, syntax, extension = null, withMarkdown = true) {
+        const matches = [];
+        const linkRegex = /\[\[([^\]]+)\]\]/g;
+        let match;
 
-        if (this.summary && this.summary !== "요약 없음") {
-            content += `${this.summary}\n\n`;
+        while ((match = linkRegex.exec(line)) !== null) {
+            matches.push({
+                link: match[1],
+                start: match.index,
+                end: match.index + match[0].length,
+            });
         }
 
-        if (this.date) {
-            content += `📅 생성일: ${this.date}\n`;
+        const rules = SyntaxUtils.get(syntax);
+        if (syntax && rules.hasTransclusions) {
+            const transclusionRegex = /\{\{(?!\{)([^{}]+)\}\}/g;
+            while ((match = transclusionRegex.exec(line)) !== null) {
+                matches.push({
+                    link: this.toTransclusionLink(match[1]),
+                    start: match.index,
+                    end: match.index + match[0].length,
+                });
+            }
         }
 
-        if (this.updated) {
-            content += `🔄 수정일: ${this.updated}\n`;
+        if (withMarkdown && rules.hasMarkdownLinks) {
+            matches.push(
+                ...MarkdownLinkParser.matchLine(
+                    line.replace(/\r$/, ""),
+                    extension || rules.extension
+                )
+            );
         }
 
-        return content;
+        return matches.sort((a, b) => a.start - b.start);
     }
 
-    toCompletionDocumentation() {
-        return this.summary && this.summary !== "요약 없음"
-            ? `**${this.title}**\n\n${this.summary}`
-            : `**${this.title}**`;
+    // {{images/a.png|설명}}처럼 스킴이 없는 트랜스클루전은 현재 페이지 기준 파일(local:)
+    static toTransclusionLink(linkText) {
+        return LINK_SCHEME_REGEX.test(linkText) ? linkText : `local:${linkText}`;
     }
-}
 
-// 캐시 엔트리 모델
-class CacheEntry {
-    constructor(data, mtime) {
-        this.data = data;
-        this.mtime = mtime;
-    }
+    // 링크 내부 텍스트를 스킴, 대상, 앵커, 설명으로 분리
+    // 예: "diary:2025-01-01#할 일|일기" -> { scheme: "diary", target: "2025-01-01", ... }
+    static parse(linkText) {
+        if (!linkText || typeof linkText !== "string") return null;
 
-    isValid(currentMtime) {
-        return this.mtime === currentMtime;
-    }
-}
+        const pipeIndex = linkText.indexOf("|");
+        const location =
+            pipeIndex === -1 ? linkText : linkText.substring(0, pipeIndex);
+        const description =
+            pipeIndex === -1 ? null : linkText.substring(pipeIndex + 1);
 
-// 메인 파일 캐시 시스템
-class FileCache {
-    constructor() {
-        this.cache = new Map();
-        this.fileIndex = new Map();
-        this.lastScan = 0;
-        this.initialized = false;
-    }
+        const schemeMatch = location.match(LINK_SCHEME_REGEX);
+        const scheme = schemeMatch ? schemeMatch[1].toLowerCase() : null;
+        const isExternal = EXTERNAL_SCHEMES.includes(scheme);
 
-    shouldRescan() {
-        return Date.now() - this.lastScan > CONFIG.SCAN_INTERVAL;
+        let target = schemeMatch
+            ? location.substring(schemeMatch[0].length)
+            : location;
+        let anchor = null;
+
+        if (isExternal) {
+            target = location;
+        } else {
+            const hashIndex = target.indexOf("#");
+            if (hashIndex !== -1) {
+                anchor = target.substring(hashIndex + 1) || null;
+                target = target.substring(0, hashIndex);
+            }
+        }
+
+        return {
+            raw: linkText,
+            scheme,
+            target: target.trim(),
+            anchor,
+            description,
+            isExternal,
+            isInterwiki:
+                !!scheme && (/^wiki\d+$/.test(scheme) || scheme.startsWith("wn.")),
+            // 링크 텍스트에서 스킴과 대상이 차지하는 길이 (앵커, 설명 제외)
+            pathLength: isExternal
+                ? location.length
+                : (schemeMatch ? schemeMatch[0].length : 0) + target.length,
+        };
     }
 
-    // 초기화 시 모든 파일 캐싱
-    async initialize(wikiRoot) {
-        if (this.initialized || !wikiRoot) return;
+    // "[[" 뒤에서 대상 경로를 입력 중이면 검색어와 대상 부분의 범위 반환
+    static findCompletionTrigger(line, position) {
+        if (!line || typeof line !== "string" || typeof position !== "number") {
+            return null;
+        }
 
-        logger.log("파일 캐시 초기화 시작...");
-        const startTime = Date.now();
+        const prefix = line.slice(0, position);
+        const match = prefix.match(/\[\[([^\]]*)$/);
+        if (!match) return null;
 
-        try {
-            this._fullScan(wikiRoot);
-            this.initialized = true;
+        // 설명, 앵커, 스킴을 입력 중일 때는 페이지 자동완성을 하지 않음
+        const query = match[1];
+        if (/[|#]/.test(query) || LINK_SCHEME_REGEX.test(query)) return null;
 
-            const duration = Date.now() - startTime;
-            logger.log(
-                `캐시 초기화 완료. ${this.cache.size}개 파일, ${duration}ms`
-            );
-        } catch (error) {
-            logger.log("캐시 초기화 실패:", error.message);
-        }
+        const suffix = line.slice(position).match(/^[^\]|#]*/)[0];
+        return {
+            query,
+            start: position - query.length,
+            end: position + suffix.length,
+        };
     }
 
-    _fullScan(wikiRoot) {
-        if (!FileUtils.exists(wikiRoot)) {
-            logger.log(`위키 루트 디렉터리가 존재하지 않음: ${wikiRoot}`);
-            return;
+    // "[[diary:" 뒤에서 날짜를 입력 중이면 날짜 부분의 범위 반환
+    static findDiaryCompletionTrigger(line, position) {
+        if (!line || typeof line !== "string" || typeof position !== "number") {
+            return null;
         }
 
-        this.lastScan = Date.now();
-        const newIndex = new Map();
+        const prefix = line.slice(0, position);
+        const match = prefix.match(/\[\[diary:([^\]|#]*)$/i);
+        if (!match) return null;
 
-        this._walkAndCacheDirectory(wikiRoot, wikiRoot, newIndex);
-        this.fileIndex = newIndex;
+        const suffix = line.slice(position).match(/^[^\]|#]*/)[0];
+        return {
+            query: match[1],
+            start: position - match[1].length,
+            end: position + suffix.length,
+        };
     }
 
-    // 점진적 스캔 (변경 감지용)
-    scanDirectory(wikiRoot) {
-        if (!this.shouldRescan() || !wikiRoot) return;
-
-        this.lastScan = Date.now();
-        const newIndex = new Map();
+    // "[[page#" 뒤에서 앵커를 입력 중이면 대상 페이지와 앵커 부분의 범위 반환
+    static findAnchorCompletionTrigger(line, position) {
+        if (!line || typeof line !== "string" || typeof position !== "number") {
+            return null;
+        }
 
-        this._walkDirectory(wikiRoot, wikiRoot, newIndex);
-        this.fileIndex = newIndex;
-    }
+        const prefix = line.slice(0, position);
+        const match = prefix.match(/\[\[([^\]|#]*)#([^\]|#]*)$/);
+        if (!match) return null;
 
-    // 디렉터리 순회하면서 모든 파일 캐싱
-    _walkAndCacheDirectory(dir, wikiRoot, index) {
-        try {
-            const entries = fs.readdirSync(dir, { withFileTypes: true });
+        const link = this.parse(`${match[1]}#`);
+        if (link && link.isExternal) return null;
 
-            for (const entry of entries) {
-                if (!entry || !entry.name) continue;
+        const suffix = line.slice(position).match(/^[^\]|]*/)[0];
+        return {
+            target: match[1],
+            query: match[2],
+            start: position - match[2].length,
+            end: position + suffix.length,
+        };
+    }
+}
 
-                const fullPath = path.join(dir, entry.name);
+// 마크다운 링크 파서: 인라인 링크, 이미지, 참조 링크를 위키 링크 형태로 바꿔
+// 위키 링크와 같은 방식으로 해석하게 함
+// (상대 경로는 "./page", /로 시작하면 위키 루트 기준, 페이지가 아닌 파일은 local:)
+class MarkdownLinkParser {
+    static toWikiLink(destination, extension = CONFIG.FILE_EXTENSION) {
+        let target = (destination || "").replace(/^<|>$/g, "").trim();
+        if (!target) return null;
 
-                if (entry.isDirectory()) {
-                    this._walkAndCacheDirectory(fullPath, wikiRoot, index);
-                } else if (
-                    entry.isFile() &&
-                    FileUtils.isMarkdownFile(entry.name)
-                ) {
-                    this._indexAndCacheFile(fullPath, wikiRoot, index);
-                }
+        if (/^file:\/\//i.test(target)) {
+            try {
+                return `file:${fileURLToPath(target)}`;
+            } catch {
+                return null;
             }
-        } catch (error) {
-            logger.log(`디렉터리 스캔 실패: ${dir}`, error.message);
         }
-    }
+        if (/^[a-z][a-z0-9+.-]*:/i.test(target)) return target;
 
-    // 일반 디렉터리 순회 (캐시 없이)
-    _walkDirectory(dir, wikiRoot, index) {
         try {
-            const entries = fs.readdirSync(dir, { withFileTypes: true });
+            target = decodeURI(target);
+        } catch {
+            // 잘못된 퍼센트 인코딩이면 그대로 사용
+        }
 
-            for (const entry of entries) {
-                if (!entry || !entry.name) continue;
+        const hashIndex = target.indexOf("#");
+        const anchor = hashIndex === -1 ? "" : target.substring(hashIndex);
+        const targetPath =
+            hashIndex === -1 ? target : target.substring(0, hashIndex);
+        if (!targetPath) return anchor || null;
 
-                const fullPath = path.join(dir, entry.name);
+        const fileExtension = path.extname(targetPath);
+        if (
+            /^\.[a-z0-9]{1,5}$/i.test(fileExtension) &&
+            fileExtension.toLowerCase() !== extension.toLowerCase()
+        ) {
+            return `local:${targetPath}`;
+        }
 
-                if (entry.isDirectory()) {
-                    this._walkDirectory(fullPath, wikiRoot, index);
-                } else if (
-                    entry.isFile() &&
-                    FileUtils.isMarkdownFile(entry.name)
-                ) {
-                    this._indexFile(fullPath, wikiRoot, index);
-                }
-            }
-        } catch (error) {
-            logger.log(`디렉터리 스캔 실패: ${dir}`, error.message);
+        const pagePath = FileUtils.removeExtension(targetPath, extension);
+        if (pagePath.startsWith("/")) {
+            return pagePath.replace(/^\/+/, "") + anchor;
         }
+        return PathUtils.isRelativePath(pagePath)
+            ? pagePath + anchor
+            : `./${pagePath}${anchor}`;
     }
 
-    // 파일 인덱싱 및 즉시 캐싱
-    _indexAndCacheFile(fullPath, wikiRoot, index) {
-        try {
-            const relativePath = FileUtils.removeExtension(
-                path.relative(wikiRoot, fullPath)
-            );
+    // 한 줄의 인라인 링크, 이미지, 참조 정의 (대상의 경로 부분 위치 포함)
+    static matchLine(line, extension) {
+        const matches = [];
 
-            const fileName = path.basename(relativePath);
-            if (fileName) {
-                index.set(fileName.toLowerCase(), fullPath);
-                index.set(relativePath.toLowerCase(), fullPath);
-            }
+        for (const match of line.matchAll(MARKDOWN_LINK_REGEX)) {
+            const destination = match[3];
+            const targetStart =
+                match.index +
+                match[0].indexOf("](") +
+                2 +
+                match[2].length +
+                (destination.startsWith("<") ? 1 : 0);
+            matches.push(
+                this._toMatch(
+                    destination,
+                    extension,
+                    match.index,
+                    match.index + match[0].length,
+                    targetStart
+                )
+            );
+        }
 
-            this._loadAndCacheFile(fullPath);
-        } catch (error) {
-            logger.log(`파일 인덱싱 실패: ${fullPath}`, error.message);
+        const definition = line.match(MARKDOWN_DEFINITION_REGEX);
+        if (definition) {
+            const destination = definition[3];
+            matches.push(
+                this._toMatch(
+                    destination,
+                    extension,
+                    0,
+                    line.trimEnd().length,
+                    definition[1].length +
+                        (destination.startsWith("<") ? 1 : 0)
+                )
+            );
         }
+
+        return matches.filter(({ link }) => link);
     }
 
-    _indexFile(fullPath, wikiRoot, index) {
-        try {
-            const relativePath = FileUtils.removeExtension(
-                path.relative(wikiRoot, fullPath)
-            );
+    static _toMatch(destination, extension, start, end, targetStart) {
+        const rawTarget = destination.replace(/^<|>$/g, "");
+        const hashIndex = rawTarget.indexOf("#");
+        const pathLength = hashIndex === -1 ? rawTarget.length : hashIndex;
 
-            const fileName = path.basename(relativePath);
-            if (fileName) {
-                index.set(fileName.toLowerCase(), fullPath);
-                index.set(relativePath.toLowerCase(), fullPath);
-            }
+        return {
+            link: this.toWikiLink(destination, extension),
+            destination: rawTarget,
+            start,
+            end,
+            targetStart,
+            targetEnd: targetStart + pathLength,
+        };
+    }
 
-            this._invalidateIfModified(fullPath);
-        } catch (error) {
-            logger.log(`파일 인덱싱 실패: ${fullPath}`, error.message);
+    // 문서의 참조 정의: 이름(소문자) -> 대상
+    static getDefinitions(content) {
+        const definitions = new Map();
+
+        for (const line of content.split("\n")) {
+            const match = line
+                .replace(/\r$/, "")
+                .match(MARKDOWN_DEFINITION_REGEX);
+            const label = match && match[2].trim().toLowerCase();
+            if (label && !definitions.has(label)) {
+                definitions.set(label, match[3]);
+            }
         }
+
+        return definitions;
     }
 
-    _invalidateIfModified(fullPath) {
-        if (!this.cache.has(fullPath)) return;
+    // 정의가 있는 참조 링크 [텍스트][이름], [이름][], [이름]
+    static extractReferences(content, extension) {
+        if (!content || typeof content !== "string") return [];
 
-        const stats = FileUtils.getStats(fullPath);
-        if (!stats) {
-            this.cache.delete(fullPath);
-            return;
-        }
+        const definitions = this.getDefinitions(content);
+        if (definitions.size === 0) return [];
+
+        const links = [];
+        const lines = content.split("\n");
+        for (let i = 0; i < lines.length; i++) {
+            for (const match of lines[i].matchAll(MARKDOWN_REFERENCE_REGEX)) {
+                const label = (match[2] || match[1]).trim().toLowerCase();
+                const destination = definitions.get(label);
+                const link =
+                    destination && this.toWikiLink(destination, extension);
+                if (!link) continue;
 
-        const cached = this.cache.get(fullPath);
-        if (!cached.isValid(stats.mtime.getTime())) {
-            this.cache.delete(fullPath);
-            this._loadAndCacheFile(fullPath);
+                links.push({
+                    link,
+                    range: {
+                        start: { line: i, character: match.index },
+                        end: {
+                            line: i,
+                            character: match.index + match[0].length,
+                        },
+                    },
+                });
+            }
         }
+
+        return links;
     }
 
-    getFileInfo(filePath) {
-        if (!filePath) {
-            return FileInfo.notFound();
+    // "](" 뒤에서 경로를 입력 중이면 경로 부분의 범위 반환 (이미지는 제외)
+    static findCompletionTrigger(line, position) {
+        if (!line || typeof line !== "string" || typeof position !== "number") {
+            return null;
         }
 
-        const cached = this.cache.get(filePath);
-        if (cached) {
-            const stats = FileUtils.getStats(filePath);
-            if (stats && cached.isValid(stats.mtime.getTime())) {
-                return cached.data;
+        const prefix = line.slice(0, position);
+        const match = prefix.match(/(?<!!\[[^\]]*)\]\(([^)\s#]*)$/);
+        if (!match) return null;
+
+        const suffix = line.slice(position).match(/^[^)\s#]*/)[0];
+        return {
+            query: match[1],
+            start: position - match[1].length,
+            end: position + suffix.length,
+        };
+    }
+
+    // 커서 위치의 이미지 링크 (없으면 null)
+    static findImageAt(line, position) {
+        if (!line || typeof line !== "string") return null;
+
+        for (const match of line.matchAll(MARKDOWN_IMAGE_REGEX)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (position >= start && position <= end) {
+                return { alt: match[1], target: match[2], start, end };
             }
         }
 
-        return this._loadAndCacheFile(filePath);
+        return null;
     }
 
-    _loadAndCacheFile(filePath, stats = null) {
-        if (!stats) {
-            stats = FileUtils.getStats(filePath);
-        }
+    static isImagePath(target) {
+        if (!target || typeof target !== "string") return false;
 
-        if (!stats) {
-            return FileInfo.notFound(
-                path.basename(filePath, CONFIG.FILE_EXTENSION)
-            );
-        }
+        const extension = path.extname(target.split(/[?#]/)[0]).toLowerCase();
+        return IMAGE_EXTENSIONS.includes(extension);
+    }
+}
 
-        const content = FileUtils.readFile(filePath);
-        if (!content) {
-            return FileInfo.notFound(
-                path.basename(filePath, CONFIG.FILE_EXTENSION)
-            );
+// 본문에 그대로 쓴 URL 파서
+class UrlParser {
+    // 커서 위치의 URL (문장 끝의 구두점은 제외, 없으면 null)
+    static findAt(line, position) {
+        if (!line || typeof line !== "string") return null;
+
+        for (const match of line.matchAll(URL_REGEX)) {
+            const url = match[0].replace(/[.,;:!?]+$/, "");
+            const start = match.index;
+            if (position >= start && position <= start + url.length) {
+                return url;
+            }
         }
 
-        try {
-            const frontmatter = FrontmatterParser.parse(content);
-            const fileInfo = FileInfo.fromFrontmatter(frontmatter, filePath);
+        return null;
+    }
 
-            this.cache.set(
-                filePath,
-                new CacheEntry(fileInfo, stats.mtime.getTime())
-            );
-            return fileInfo;
-        } catch (error) {
-            logger.log(`파일 캐싱 실패: ${filePath}`, error.message);
-            return FileInfo.notFound(
-                path.basename(filePath, CONFIG.FILE_EXTENSION)
-            );
+    // 문서 전체의 URL과 위치
+    static extractAll(content) {
+        if (!content || typeof content !== "string") return [];
+
+        const urls = [];
+        const lines = content.split("\n");
+        for (let i = 0; i < lines.length; i++) {
+            for (const match of lines[i].matchAll(URL_REGEX)) {
+                const url = match[0].replace(/[.,;:!?]+$/, "");
+                urls.push({
+                    url,
+                    range: {
+                        start: { line: i, character: match.index },
+                        end: { line: i, character: match.index + url.length },
+                    },
+                });
+            }
         }
+
+        return urls;
     }
+}
 
-    findFile(targetPath) {
-        if (!targetPath || typeof targetPath !== "string") return null;
+// 퍼지 매칭 점수 계산
+class FuzzyMatcher {
+    // query의 모든 글자가 순서대로 text에 있으면 점수, 없으면 null
+    static score(query, text) {
+        if (typeof text !== "string") return null;
+        if (!query) return 0;
 
-        const exactMatch = this.fileIndex.get(targetPath.toLowerCase());
-        if (exactMatch) return exactMatch;
+        const queryLower = query.toLowerCase();
+        const textLower = text.toLowerCase();
 
-        const fileName = path.basename(targetPath).toLowerCase();
-        return this.fileIndex.get(fileName) || null;
+        if (textLower === queryLower) return 1000;
+        if (textLower.startsWith(queryLower)) return 800 - text.length;
+
+        const substringIndex = textLower.indexOf(queryLower);
+        if (substringIndex !== -1) return 600 - substringIndex - text.length;
+
+        let score = 0;
+        let textIndex = 0;
+        let previousMatch = -2;
+
+        for (const char of queryLower) {
+            const matchIndex = textLower.indexOf(char, textIndex);
+            if (matchIndex === -1) return null;
+
+            // 연속된 글자와 단어 시작 글자에 가산점
+            if (matchIndex === previousMatch + 1) score += 15;
+            if (matchIndex === 0 || /[\s/_.-]/.test(text[matchIndex - 1])) {
+                score += 10;
+            }
+            score -= matchIndex - textIndex;
+
+            previousMatch = matchIndex;
+            textIndex = matchIndex + 1;
+        }
+
+        return 300 + score - text.length;
     }
+}
 
-    searchFiles(query, wikiRoot) {
-        if (!wikiRoot) return [];
+// 헤딩 파서 (마크다운 # 헤딩, 기본 문법 = 헤딩 =)
+class HeadingParser {
+    static parse(content, syntax = null) {
+        if (!content || typeof content !== "string") return [];
 
-        const results = [];
-        const queryLower = (query || "").toLowerCase();
+        const { headingRegex } = SyntaxUtils.get(syntax);
+        const isNative = SyntaxUtils.isNative(syntax);
+        const headings = [];
+        const lines = content.split("\n");
+        let inCodeBlock = false;
 
-        for (const [key, fullPath] of this.fileIndex.entries()) {
-            // 빈 문자열이면 모든 파일 반환, 아니면 필터링
-            if (query === "" || key.includes(queryLower)) {
-                try {
-                    const relativePath = FileUtils.removeExtension(
-                        path.relative(wikiRoot, fullPath)
-                    );
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].replace(/\r$/, "");
 
-                    if (!results.find((r) => r.path === relativePath)) {
-                        results.push({
-                            path: relativePath,
-                            fullPath: fullPath,
-                            fileName: path.basename(relativePath),
-                        });
-                    }
-                } catch (error) {
-                    logger.log(`파일 검색 중 오류: ${fullPath}`, error.message);
-                }
+            if (SyntaxUtils.isCodeBlockBoundary(line, inCodeBlock, syntax)) {
+                inCodeBlock = !inCodeBlock;
+                continue;
+            }
+            if (inCodeBlock) continue;
+
+            const match = line.match(headingRegex);
+            if (match) {
+                // 기본 문법의 앵커는 헤딩 텍스트 그대로 ([[page#헤딩 텍스트]])
+                headings.push({
+                    level: match[1].length,
+                    text: match[2],
+                    anchor: isNative ? match[2] : this.slugify(match[2]),
+                    line: i,
+                });
             }
         }
 
-        return results.slice(0, CONFIG.MAX_COMPLETION_RESULTS);
+        return headings;
     }
 
-    getStats() {
-        return {
-            cacheSize: this.cache.size,
-            indexSize: this.fileIndex.size,
-            lastScan: new Date(this.lastScan).toISOString(),
-            initialized: this.initialized,
-        };
+    // 마크다운 앵커 규칙에 따른 슬러그 생성
+    static slugify(text) {
+        if (!text || typeof text !== "string") return "";
+
+        return text
+            .trim()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+            .replace(/\s+/g, "-");
+    }
+
+    // 헤딩부터 같은 수준 이상의 다음 헤딩 전까지의 내용
+    static getSectionText(content, headings, heading) {
+        if (!content || !heading) return "";
+
+        const next = headings.find(
+            (other) => other.line > heading.line && other.level <= heading.level
+        );
+        const lines = content.split("\n");
+
+        return lines
+            .slice(heading.line + 1, next ? next.line : lines.length)
+            .join("\n")
+            .trim();
+    }
+
+    static findByAnchor(headings, anchor) {
+        if (!Array.isArray(headings) || !anchor) return null;
+
+        const slug = this.slugify(anchor);
+        return (
+            headings.find(
+                (heading) =>
+                    heading.anchor === slug ||
+                    heading.text.toLowerCase() === anchor.toLowerCase()
+            ) || null
+        );
     }
 }
 
-// 위키 파일 Resolver
-class WikiFileResolver {
-    constructor(fileCache, wikiRoot) {
-        this.fileCache = fileCache;
-        this.wikiRoot = wikiRoot;
+// 태그 파서 (frontmatter tags 키와 VimWiki :tag1:tag2: 문법)
+class TagParser {
+    // 문서의 모든 태그와 위치 (기본 문법에는 frontmatter가 없음)
+    static extractAll(content, syntax = null) {
+        if (!content || typeof content !== "string") return [];
+
+        return [
+            ...(SyntaxUtils.get(syntax).hasFrontmatter
+                ? this.extractFromFrontmatter(content)
+                : []),
+            ...this.extractInline(content, syntax),
+        ];
     }
 
-    async resolveForHover(wikiLink, currentDir) {
-        if (!wikiLink || !currentDir || !this.wikiRoot) return null;
+    static extractFromFrontmatter(content) {
+        const block = FrontmatterParser.getBlock(content);
+        if (!block) return [];
 
-        try {
-            await this.fileCache.initialize(this.wikiRoot);
-            this.fileCache.scanDirectory(this.wikiRoot);
+        const names = FileInfo.parseTags(FrontmatterParser.parse(content)?.tags);
+        const tagsLines = this._getTagsLines(block);
+        const tags = [];
 
-            let targetPath = PathUtils.resolveWikiPath(
-                wikiLink,
-                currentDir,
-                this.wikiRoot
-            );
-            if (!targetPath) return null;
+        for (const name of names) {
+            let range = null;
 
-            if (!FileUtils.exists(targetPath)) {
-                const foundPath = this.fileCache.findFile(wikiLink);
-                if (!foundPath) return null;
-                targetPath = foundPath;
+            for (const line of tagsLines) {
+                // 키 이름 안에서 찾지 않도록 첫 줄은 "tags:" 뒤부터 검색
+                const from =
+                    line === tagsLines[0]
+                        ? block.lines[line].indexOf(":") + 1
+                        : 0;
+                const character = this._findToken(
+                    block.lines[line],
+                    name,
+                    from
+                );
+                if (character !== -1) {
+                    range = {
+                        start: { line, character },
+                        end: { line, character: character + name.length },
+                    };
+                    break;
+                }
             }
 
-            return this.fileCache.getFileInfo(targetPath);
-        } catch (error) {
-            logger.log(`파일 해결 실패: ${wikiLink}`, error.message);
-            return null;
+            tags.push({
+                name,
+                range: range || {
+                    start: { line: tagsLines[0] || 0, character: 0 },
+                    end: { line: tagsLines[0] || 0, character: 0 },
+                },
+            });
         }
+
+        return tags;
     }
 
-    async searchForCompletion(query, currentDocumentUri) {
-        if (!currentDocumentUri || !this.wikiRoot) {
-            logger.log("currentDocumentUri 또는 wikiRoot가 정의되지 않음");
-            return [];
+    // 다른 태그의 일부가 아닌 온전한 값으로 나타나는 위치 (없으면 -1)
+    // 예: "[a, #b]", "- a", "a b"에서 a와 b
+    static _findToken(text, token, from) {
+        for (
+            let index = text.indexOf(token, from);
+            index !== -1;
+            index = text.indexOf(token, index + 1)
+        ) {
+            const before = index > 0 ? text[index - 1] : " ";
+            const after = text[index + token.length] || " ";
+            if (/[\s[,\-#"']/.test(before) && /[\s\],"']/.test(after)) {
+                return index;
+            }
         }
 
-        try {
-            await this.fileCache.initialize(this.wikiRoot);
-            this.fileCache.scanDirectory(this.wikiRoot);
+        return -1;
+    }
 
-            const currentDocPath = currentDocumentUri.replace("file://", "");
-            const currentDir = path.dirname(currentDocPath);
+    // frontmatter에서 tags 키 줄부터 다음 키 직전 줄까지
+    static _getTagsLines(block) {
+        const index = block.keys.findIndex(({ key }) => key === "tags");
+        if (index === -1) return [];
 
-            if (!currentDir) {
-                logger.log("currentDir를 결정할 수 없음:", currentDocPath);
-                return [];
+        const startLine = block.keys[index].line;
+        const endLine = block.keys[index + 1]?.line ?? block.endLine;
+
+        const lines = [];
+        for (let line = startLine; line < endLine; line++) lines.push(line);
+        return lines;
+    }
+
+    static isInFrontmatterTags(block, line) {
+        return !!block && this._getTagsLines(block).includes(line);
+    }
+
+    // 본문의 :tag1:tag2: 태그 (frontmatter와 코드 블록 제외)
+    static extractInline(content, syntax = null) {
+        if (!content || typeof content !== "string") return [];
+
+        const block = MetadataParser.getBlock(content, syntax);
+        const lines = content.split("\n");
+        const tags = [];
+        let inCodeBlock = false;
+
+        for (let i = block ? block.endLine + 1 : 0; i < lines.length; i++) {
+            const line = lines[i].replace(/\r$/, "");
+
+            if (SyntaxUtils.isCodeBlockBoundary(line, inCodeBlock, syntax)) {
+                inCodeBlock = !inCodeBlock;
+                continue;
             }
+            if (inCodeBlock) continue;
 
-            return this.fileCache
-                .searchFiles(query, this.wikiRoot)
-                .map((result) =>
-                    this._createCompletionItem(result, currentDir)
-                );
-        } catch (error) {
-            logger.log("자동완성 검색 실패:", error.message);
-            return [];
+            for (const { name, start, end } of this._matchInline(line)) {
+                tags.push({
+                    name,
+                    range: {
+                        start: { line: i, character: start },
+                        end: { line: i, character: end },
+                    },
+                });
+            }
         }
+
+        return tags;
     }
 
-    _createCompletionItem(
-        { path: relativePath, fullPath, fileName },
-        currentDir
-    ) {
-        if (
-            !currentDir ||
-            !this.wikiRoot ||
-            !relativePath ||
-            !fullPath ||
-            !fileName
-        ) {
-            return {
-                label: fileName || "알 수 없음",
-                kind: CompletionItemKind.File,
-                insertText: fileName || "",
-            };
-        }
+    static _matchInline(line) {
+        const regex = /(^|\s)(:(?:[^:\s]+:)+)(?=\s|$)/g;
+        const tags = [];
+        let match;
 
-        try {
-            const targetPath = path.join(
-                this.wikiRoot,
-                relativePath + CONFIG.FILE_EXTENSION
-            );
-            const insertPath = PathUtils.getRelativePath(
-                currentDir,
-                targetPath
-            );
-            const fileInfo = this.fileCache.getFileInfo(fullPath);
-            const displayDir = PathUtils.getDisplayDirectory(relativePath);
+        while ((match = regex.exec(line)) !== null) {
+            let offset = match.index + match[1].length + 1;
 
-            return {
-                label: fileName,
-                labelDetails: { description: displayDir },
-                kind: CompletionItemKind.File,
-                detail: displayDir,
-                documentation: {
-                    kind: MarkupKind.Markdown,
-                    value: fileInfo.toCompletionDocumentation(),
-                },
-                sortText: insertPath.toLowerCase(),
-                insertText: insertPath,
-            };
-        } catch (error) {
-            logger.log("완성 항목 생성 실패:", error.message);
-            return {
-                label: fileName,
-                kind: CompletionItemKind.File,
-                insertText: fileName,
-            };
+            for (const name of match[2].split(":").filter(Boolean)) {
+                tags.push({ name, start: offset, end: offset + name.length });
+                offset += name.length + 1;
+            }
         }
+
+        return tags;
     }
-}
 
-// 메인 LSP 서버
-class WikiLSP {
-    constructor() {
-        this.connection = createConnection(process.stdin, process.stdout);
-        this.documents = new TextDocuments(TextDocument);
-        this.fileCache = new FileCache();
-        this.wikiRoot = "";
-        this.resolver = null;
+    // 커서 위치의 태그 이름 (본문 :tag: 또는 frontmatter tags 값)
+    static findTagAt(content, position, syntax = null) {
+        const block = MetadataParser.getBlock(content, syntax);
+        const isInFrontmatter = block && position.line <= block.endLine;
 
-        this._setupHandlers();
-    }
+        if (isInFrontmatter && !this.isInFrontmatterTags(block, position.line)) {
+            return null;
+        }
 
-    _setupHandlers() {
-        this.connection.onInitialize(this._handleInitialize.bind(this));
-        this.connection.onHover(this._handleHover.bind(this));
-        this.connection.onCompletion(this._handleCompletion.bind(this));
-        this.connection.onRequest("wiki/cacheStats", () =>
-            this.fileCache.getStats()
-        );
+        const tags = isInFrontmatter
+            ? this.extractFromFrontmatter(content)
+            : this._matchInline(
+                  (content.split("\n")[position.line] || "").replace(/\r$/, "")
+              ).map(({ name, start, end }) => ({
+                  name,
+                  range: {
+                      start: { line: position.line, character: start },
+                      end: { line: position.line, character: end },
+                  },
+              }));
 
-        this.documents.listen(this.connection);
+        const tag = tags.find(
+            ({ range }) =>
+                range.start.line === position.line &&
+                position.character >= range.start.character &&
+                position.character <= range.end.character
+        );
+        return tag ? tag.name : null;
     }
 
-    _handleInitialize(params) {
-        try {
-            this.wikiRoot = params.initializationOptions?.wikiRoot || "./wiki";
-            this.resolver = new WikiFileResolver(this.fileCache, this.wikiRoot);
+    // 태그 입력 중이면 검색어와 교체할 범위 반환
+    static findCompletionTrigger(content, position, syntax = null) {
+        const line = (content.split("\n")[position.line] || "").replace(
+            /\r$/,
+            ""
+        );
+        const prefix = line.slice(0, position.character);
+        const block = MetadataParser.getBlock(content, syntax);
 
-            // 백그라운드에서 초기화 (비블로킹)
-            this.fileCache.initialize(this.wikiRoot).catch((error) => {
-                logger.log("캐시 초기화 실패:", error.message);
-            });
+        if (block && position.line <= block.endLine) {
+            if (!this.isInFrontmatterTags(block, position.line)) return null;
+
+            // "tags: [a, b" 또는 "  - b" 형태에서 입력 중인 단어
+            const valuePrefix = prefix.replace(/^tags:/, "");
+            const match = valuePrefix.match(/(?:^|[\s,\[-])#?([^\s,\[\]#]*)$/);
+            if (!match) return null;
 
             return {
-                capabilities: {
-                    textDocumentSync: TextDocumentSyncKind.Incremental,
-                    completionProvider: { triggerCharacters: ["["] },
-                    hoverProvider: true,
-                },
+                query: match[1],
+                start: position.character - match[1].length,
+                end: position.character,
             };
-        } catch (error) {
-            logger.log("LSP 초기화 실패:", error.message);
-            return { capabilities: {} };
         }
+
+        const match = prefix.match(/(?:^|\s)(?::[^:\s]+)*:([^:\s]*)$/);
+        if (!match) return null;
+
+        return {
+            query: match[1],
+            start: position.character - match[1].length,
+            end: position.character,
+        };
     }
+}
 
-    async _handleHover({ textDocument, position }) {
-        try {
-            const doc = this.documents.get(textDocument.uri);
-            if (!doc) return null;
+// 문서 개요(DocumentSymbol) 생성기
+class DocumentSymbolBuilder {
+    static build(content, fileName, syntax = null) {
+        if (!content || typeof content !== "string") return [];
 
-            const lines = doc.getText().split("\n");
-            if (!lines[position.line]) return null;
+        const lines = content.split("\n");
+        const symbols = [];
 
-            const line = lines[position.line];
-            const wikiLink = WikiLinkParser.extract(line, position.character);
-            if (!wikiLink) return null;
+        const frontmatter = MetadataParser.getBlock(content, syntax);
+        if (frontmatter) {
+            symbols.push(this._createFrontmatterSymbol(frontmatter, fileName));
+        }
 
-            const currentDir = path.dirname(
-                textDocument.uri.replace("file://", "")
-            );
-            const fileInfo = await this.resolver.resolveForHover(
-                wikiLink,
-                currentDir
-            );
+        // 헤딩 수준에 따라 중첩
+        const stack = [];
+        for (const heading of HeadingParser.parse(content, syntax)) {
+            const symbol = this._createHeadingSymbol(heading, lines);
 
-            if (!fileInfo || !fileInfo.exists) {
-                return {
-                    contents: {
-                        kind: MarkupKind.Markdown,
-                        value: `**${wikiLink}**\n\n*파일을 찾을 수 없음*`,
-                    },
-                };
+            while (
+                stack.length > 0 &&
+                stack[stack.length - 1].level >= heading.level
+            ) {
+                stack.pop();
             }
 
+            const parent = stack[stack.length - 1];
+            if (parent) {
+                parent.symbol.children.push(symbol);
+            } else {
+                symbols.push(symbol);
+            }
+            stack.push({ level: heading.level, symbol });
+        }
+
+        this._extendSectionRanges(symbols, lines.length - 1, lines);
+        return symbols;
+    }
+
+    static _lineRange(startLine, endLine, lines) {
+        return {
+            start: { line: startLine, character: 0 },
+            end: {
+                line: endLine,
+                character: (lines[endLine] || "").replace(/\r$/, "").length,
+            },
+        };
+    }
+
+    // frontmatter 블록은 title을 이름으로, 각 키를 자식으로 표시
+    static _createFrontmatterSymbol(
+        { startLine, endLine, keys, lines },
+        fileName
+    ) {
+        const title = FileInfo.formatValue(
+            FrontmatterParser.parse(lines.join("\n"))?.title
+        );
+
+        return {
+            name: title || fileName || "frontmatter",
+            detail: "frontmatter",
+            kind: SymbolKind.Namespace,
+            range: this._lineRange(startLine, endLine, lines),
+            selectionRange: this._lineRange(startLine, startLine, lines),
+            children: keys.map(({ key, value, line }) => ({
+                name: key,
+                detail: value,
+                kind: SymbolKind.Property,
+                range: this._lineRange(line, line, lines),
+                selectionRange: {
+                    start: { line, character: 0 },
+                    end: { line, character: key.length },
+                },
+                children: [],
+            })),
+        };
+    }
+
+    static _createHeadingSymbol(heading, lines) {
+        const range = this._lineRange(heading.line, heading.line, lines);
+
+        return {
+            name: heading.text,
+            detail: "#".repeat(heading.level),
+            kind: SymbolKind.String,
+            range,
+            selectionRange: range,
+            children: [],
+        };
+    }
+
+    // 각 헤딩의 범위를 다음 형제 헤딩 직전 줄까지 확장
+    static _extendSectionRanges(symbols, lastLine, lines) {
+        const headings = symbols.filter(
+            (symbol) => symbol.kind === SymbolKind.String
+        );
+
+        headings.forEach((symbol, index) => {
+            const next = headings[index + 1];
+            const endLine = next ? next.range.start.line - 1 : lastLine;
+
+            symbol.range = this._lineRange(
+                symbol.range.start.line,
+                Math.max(endLine, symbol.range.start.line),
+                lines
+            );
+            this._extendSectionRanges(symbol.children, endLine, lines);
+        });
+    }
+}
+
+// 파일 정보 모델
+class FileInfo {
+    constructor(data = {}) {
+        this.title = data.title || "제목 없음";
+        this.summary = data.summary || "요약 없음";
+        this.date = data.date;
+        this.updated = data.updated;
+        this.tags = data.tags || [];
+        this.aliases = data.aliases || [];
+        this.fields = data.fields || {};
+        this.keys = data.keys || [];
+        this.exists = data.exists !== undefined ? data.exists : true;
+    }
+
+    // YAML 배열, "a, b", "#a #b" 형태의 태그 값을 배열로 변환
+    static parseTags(value) {
+        const values = Array.isArray(value)
+            ? value.map(String)
+            : typeof value === "string"
+            ? value.split(/[,\s]+/)
+            : [];
+
+        return values
+            .map((tag) => tag.trim().replace(/^#/, ""))
+            .filter(Boolean);
+    }
+
+    // YAML 배열 또는 "a, b" 형태의 별칭 값을 배열로 변환 (별칭에는 공백이 올 수 있음)
+    static parseAliases(value) {
+        const values = Array.isArray(value)
+            ? value.map((alias) => FileInfo.formatValue(alias))
+            : typeof value === "string"
+            ? value.split(",")
+            : [];
+
+        return values.map((alias) => alias.trim()).filter(Boolean);
+    }
+
+    // frontmatter 값을 표시용 문자열로 변환
+    static formatValue(value) {
+        if (value === null || value === undefined) return "";
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) return "";
+
+            const iso = value.toISOString();
+            return iso.endsWith("T00:00:00.000Z")
+                ? iso.slice(0, 10)
+                : iso.replace(/\.000Z$/, "Z");
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => FileInfo.formatValue(item)).join(", ");
+        }
+        if (typeof value === "object") return JSON.stringify(value);
+
+        return String(value).trim();
+    }
+
+    static fromFrontmatter(frontmatter, filePath, extension) {
+        if (!filePath) return new FileInfo({ exists: false });
+
+        const fileName = FileUtils.getPageName(filePath, extension);
+        const {
+            title,
+            summary,
+            date,
+            updated,
+            tags,
+            aliases,
+            ...fields
+        } = frontmatter || {};
+
+        return new FileInfo({
+            title: FileInfo.formatValue(title) || fileName,
+            summary: FileInfo.formatValue(summary),
+            date: FileInfo.formatValue(date) || undefined,
+            updated: FileInfo.formatValue(updated) || undefined,
+            tags: FileInfo.parseTags(tags),
+            aliases: FileInfo.parseAliases(aliases),
+            fields,
+            // 값이 비어 있지 않은 메타데이터 키 (필수 키 검사용)
+            keys: Object.keys(frontmatter || {}).filter(
+                (key) => FileInfo.formatValue(frontmatter[key]) !== ""
+            ),
+            exists: true,
+        });
+    }
+
+    static notFound(fileName) {
+        return new FileInfo({
+            title: fileName || "알 수 없는 파일",
+            summary: "파일을 찾을 수 없음",
+            exists: false,
+        });
+    }
+
+    // preview가 주어지면 링크 수, 최상위 헤딩, 본문 발췌를 덧붙임
+    toHoverContent(preview = null) {
+        let content = `**${this.title}**\n\n`;
+
+        if (this.summary && this.summary !== "요약 없음") {
+            content += `${this.summary}\n\n`;
+        }
+
+        if (this.date) {
+            content += `📅 생성일: ${this.date}\n`;
+        }
+
+        if (this.updated) {
+            content += `🔄 수정일: ${this.updated}\n`;
+        }
+
+        if (this.tags.length > 0) {
+            content += `🏷️ 태그: ${this.tags.join(", ")}\n`;
+        }
+
+        if (this.aliases.length > 0) {
+            content += `🔗 별칭: ${this.aliases.join(", ")}\n`;
+        }
+
+        const fields = this._formatFields();
+        if (fields) {
+            content += `\n${fields}`;
+        }
+
+        if (preview) {
+            content = content.trimEnd() + this._formatPreview(preview);
+        }
+
+        return content;
+    }
+
+    _formatPreview({ outgoing, incoming, headings, excerpt }) {
+        let content = `\n\n↗️ 나가는 링크 ${outgoing}개`;
+        content += ` · ↙️ 들어오는 링크 ${incoming}개`;
+
+        if (headings.length > 0) {
+            content += `\n\n📑 ${headings.join(" · ")}`;
+        }
+
+        if (excerpt) {
+            content += `\n\n---\n\n${excerpt}`;
+        }
+
+        return content;
+    }
+
+    // title, summary, date, updated, tags 외의 frontmatter 키 목록
+    _formatFields() {
+        return Object.entries(this.fields)
+            .map(([key, value]) => [key, FileInfo.formatValue(value)])
+            .filter(([, value]) => value !== "")
+            .map(([key, value]) => `- **${key}**: ${value}`)
+            .join("\n");
+    }
+
+    // [[page#section]] 호버용: 섹션 제목과 내용 (길면 잘라냄)
+    toSectionHoverContent(heading, sectionText) {
+        let content = `**${this.title}** › ${heading.text}\n\n`;
+
+        const lines = sectionText.split("\n");
+        content += lines.slice(0, CONFIG.MAX_SECTION_PREVIEW_LINES).join("\n");
+        if (lines.length > CONFIG.MAX_SECTION_PREVIEW_LINES) {
+            content += "\n\n…";
+        }
+
+        return content;
+    }
+
+    toCompletionDocumentation() {
+        let content =
+            this.summary && this.summary !== "요약 없음"
+                ? `**${this.title}**\n\n${this.summary}`
+                : `**${this.title}**`;
+
+        const fields = this._formatFields();
+        if (fields) {
+            content += `\n\n${fields}`;
+        }
+
+        return content;
+    }
+}
+
+// 캐시 엔트리 모델
+// 열린 문서에서 만든 엔트리(fromBuffer)는 문서가 닫힐 때까지 디스크 변경과 무관하게 유효
+class CacheEntry {
+    constructor(
+        data,
+        mtime,
+        {
+            size = null,
+            links = [],
+            headings = [],
+            tags = [],
+            fromBuffer = false,
+        } = {}
+    ) {
+        this.data = data;
+        this.mtime = mtime;
+        this.size = size;
+        this.links = links;
+        this.headings = headings;
+        this.tags = tags;
+        this.fromBuffer = fromBuffer;
+    }
+
+    // 파일의 mtime과 크기가 엔트리를 만들 때와 같은지 (stats가 null이면 삭제된 파일)
+    isValid(stats) {
+        if (this.fromBuffer) return true;
+        if (!stats) return false;
+
+        return (
+            this.mtime === stats.mtime.getTime() &&
+            (this.size === null || this.size === stats.size)
+        );
+    }
+
+    // 인덱스 파일에 저장할 형태 (frontmatter의 기타 값은 표시용 문자열로 저장)
+    toJSON() {
+        const fields = {};
+        for (const [key, value] of Object.entries(this.data.fields)) {
+            fields[key] = FileInfo.formatValue(value);
+        }
+
+        return {
+            mtime: this.mtime,
+            size: this.size,
+            data: { ...this.data, fields },
+            links: this.links.map(
+                ({ link, range, destination, targetRange }) =>
+                    destination === undefined
+                        ? { link, range }
+                        : { link, range, destination, targetRange }
+            ),
+            headings: this.headings,
+            tags: this.tags,
+        };
+    }
+
+    static fromJSON({ mtime, size, data, links, headings, tags }) {
+        return new CacheEntry(new FileInfo(data), mtime, {
+            size,
+            links,
+            headings,
+            tags,
+        });
+    }
+}
+
+// 위키별 파싱된 인덱스를 캐시 디렉터리에 저장하고 시작할 때 다시 읽음
+class IndexStore {
+    constructor(cacheDir, { root, extension, syntax }) {
+        const hash = crypto
+            .createHash("sha1")
+            .update(`${root}\0${extension}\0${syntax}`)
+            .digest("hex")
+            .substring(0, 16);
+
+        this.filePath = path.join(
+            cacheDir,
+            `${path.basename(root)}-${hash}.json`
+        );
+        this.header = {
+            version: INDEX_FORMAT_VERSION,
+            root,
+            extension,
+            syntax,
+        };
+    }
+
+    // 형식 버전이나 위키 설정이 다르면 빈 Map (처음부터 다시 인덱싱)
+    async load() {
+        const entries = new Map();
+        if (!FileUtils.exists(this.filePath)) return entries;
+
+        try {
+            const stored = JSON.parse(
+                await fs.promises.readFile(this.filePath, CONFIG.ENCODING)
+            );
+            const matches = Object.entries(this.header).every(
+                ([key, value]) => stored[key] === value
+            );
+            if (!matches) {
+                logger.log(`저장된 인덱스 형식이 달라 무시: ${this.filePath}`);
+                return entries;
+            }
+
+            for (const [filePath, entry] of Object.entries(stored.files)) {
+                entries.set(filePath, CacheEntry.fromJSON(entry));
+            }
+        } catch (error) {
+            logger.log(`저장된 인덱스 읽기 실패: ${this.filePath}`, error.message);
+            entries.clear();
+        }
+
+        return entries;
+    }
+
+    // 임시 파일에 쓴 뒤 이름을 바꿔 중간에 끊겨도 깨진 파일이 남지 않게 함
+    save(cache) {
+        const files = {};
+        for (const [filePath, entry] of cache.entries()) {
+            if (!entry.fromBuffer && entry.data.exists) files[filePath] = entry;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(
+                tempPath,
+                JSON.stringify({ ...this.header, files }),
+                CONFIG.ENCODING
+            );
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            logger.log(`인덱스 저장 실패: ${this.filePath}`, error.message);
+        }
+    }
+
+    // cacheDir 설정이 false면 저장하지 않음, 없으면 XDG 캐시 디렉터리 사용
+    static resolveCacheDir(cacheDir) {
+        if (cacheDir === false) return null;
+        if (typeof cacheDir === "string" && cacheDir) {
+            return path.resolve(PathUtils.expandHome(cacheDir));
+        }
+
+        return path.join(
+            process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"),
+            "vimwiki-lsp"
+        );
+    }
+}
+
+// 메인 파일 캐시 시스템
+class FileCache {
+    // registry가 주어지면 다른 위키의 파일과 [[wiki1:page]] 링크는 해당 위키 캐시에 위임
+    // store가 주어지면 시작할 때 저장된 인덱스를 읽고 바뀐 파일만 다시 파싱
+    constructor({ diaryRelPath, extension, syntax, registry, store } = {}) {
+        this.options = {
+            diaryRelPath: diaryRelPath ?? CONFIG.DIARY_REL_PATH,
+            extension: extension || CONFIG.FILE_EXTENSION,
+            syntax: syntax || "markdown",
+        };
+        this.registry = registry || null;
+        this.store = store || null;
+        this.persistTimer = null;
+        this.wikiRoot = null;
+        this.cache = new Map();
+        this.fileIndex = new Map();
+        this.basenameIndex = new Map();
+        this.backlinks = new Map();
+        this.linkGraphDirty = true;
+        this.linkGraphBuilt = false;
+        this.tagIndex = new Map();
+        this.tagIndexDirty = true;
+        this.aliasIndex = new Map();
+        this.aliasIndexDirty = true;
+        this.version = 0;
+        this.listeners = [];
+        this.lastScan = 0;
+        this.initialized = false;
+        this.indexing = false;
+        this.initPromise = null;
+        this.scanPromise = null;
+        this.progressListeners = [];
+        this.watcher = null;
+        this.eventDriven = false;
+        this.buffers = new Map();
+    }
+
+    // 인덱스 변경 시 호출될 리스너 등록
+    onChange(listener) {
+        if (typeof listener === "function") {
+            this.listeners.push(listener);
+        }
+    }
+
+    _markChanged() {
+        this.linkGraphDirty = true;
+        this.tagIndexDirty = true;
+        this.aliasIndexDirty = true;
+        this.version++;
+    }
+
+    _notifyChange() {
+        for (const listener of this.listeners) {
+            try {
+                listener();
+            } catch (error) {
+                logger.log("인덱스 변경 리스너 실패:", error.message);
+            }
+        }
+    }
+
+    // 디스크 내용이 바뀌었으면 리스너에 알리고 인덱스 저장 예약
+    _commitChanges(previousVersion) {
+        if (this.version === previousVersion) return;
+
+        this._notifyChange();
+        this._schedulePersist();
+    }
+
+    // 변경이 이어지는 동안에는 미뤘다가 한 번에 저장
+    _schedulePersist() {
+        if (!this.store) return;
+
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(
+            () => this.persist(),
+            CONFIG.INDEX_SAVE_DELAY
+        );
+    }
+
+    persist() {
+        if (!this.store) return;
+
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        this.store.save(this.cache);
+    }
+
+    // 종료 시 파일 감시를 멈추고 저장되지 않은 인덱스 저장
+    dispose() {
+        this.unwatch();
+        if (this.persistTimer) this.persist();
+    }
+
+    // 파일 변경 이벤트를 받는 동안이나 스캔 중에는 주기적 재스캔을 하지 않음
+    shouldRescan() {
+        if (this.eventDriven || this.scanPromise) return false;
+        return Date.now() - this.lastScan > CONFIG.SCAN_INTERVAL;
+    }
+
+    // 백그라운드에서 모든 파일 인덱싱 시작
+    // 인덱싱 중에는 기다리지 않으므로 요청에는 그때까지의 결과로 응답
+    initialize(wikiRoot) {
+        if (!this.initPromise && wikiRoot) {
+            this.initPromise = this._initialize(wikiRoot);
+        }
+
+        return this.indexing || !this.initPromise
+            ? Promise.resolve()
+            : this.initPromise;
+    }
+
+    // 인덱싱과 진행 중인 스캔이 끝날 때까지 기다림 (이름 변경처럼 전체 결과가 필요할 때)
+    async ready(wikiRoot) {
+        this.initialize(wikiRoot);
+        await this.initPromise;
+        if (this.scanPromise) await this.scanPromise;
+    }
+
+    // 초기 인덱싱 진행 상황 리스너 등록 (처리한 파일 수, 전체 파일 수), 해제 함수 반환
+    onProgress(listener) {
+        this.progressListeners.push(listener);
+        return () => {
+            this.progressListeners = this.progressListeners.filter(
+                (other) => other !== listener
+            );
+        };
+    }
+
+    async _initialize(wikiRoot) {
+        this.wikiRoot = wikiRoot;
+        this.indexing = true;
+
+        logger.log("파일 캐시 초기화 시작...");
+        const startTime = Date.now();
+
+        try {
+            if (this.store) {
+                // 읽는 동안 열린 문서의 내용은 저장된 내용으로 덮어쓰지 않음
+                const stored = await this.store.load();
+                for (const [filePath, entry] of stored) {
+                    if (this.buffers.has(filePath)) continue;
+
+                    this.cache.set(filePath, entry);
+                    this._addToIndex(filePath);
+                }
+                logger.log(`저장된 인덱스에서 ${stored.size}개 파일 복원`);
+            }
+
+            await this.rescan((done, total) => {
+                for (const listener of this.progressListeners) {
+                    listener(done, total);
+                }
+            });
+            this.initialized = true;
+
+            const duration = Date.now() - startTime;
+            logger.log(
+                `캐시 초기화 완료. ${this.cache.size}개 파일, ${duration}ms`
+            );
+        } catch (error) {
+            logger.log("캐시 초기화 실패:", error.message);
+        } finally {
+            this.indexing = false;
+        }
+    }
+
+    // 점진적 스캔 (변경 감지용, 기다리지 않고 백그라운드에서 진행)
+    scanDirectory(wikiRoot) {
+        if (!this.initialized || !this.shouldRescan() || !wikiRoot) return;
+
+        this.rescan().catch((error) => {
+            logger.log("재스캔 실패:", error.message);
+        });
+    }
+
+    // 위키 전체를 다시 읽어 인덱스를 맞춤 (이미 진행 중이면 그 스캔을 기다림)
+    rescan(onProgress = null) {
+        if (!this.scanPromise) {
+            this.scanPromise = this._scan(onProgress).finally(() => {
+                this.scanPromise = null;
+            });
+        }
+        return this.scanPromise;
+    }
+
+    async _scan(onProgress) {
+        this.lastScan = Date.now();
+        const previousVersion = this.version;
+
+        const filePaths = await this._collectPageFiles(this.wikiRoot);
+        if (!filePaths) {
+            logger.log(`위키 루트 디렉터리가 존재하지 않음: ${this.wikiRoot}`);
+            return;
+        }
+
+        // 파싱 전에 인덱스부터 맞춰 링크 해석과 파일 자동완성이 먼저 되게 함
+        const found = new Set(filePaths);
+        for (const filePath of this._getIndexedPaths()) {
+            if (!found.has(filePath)) this._removeFromIndex(filePath);
+        }
+        for (const filePath of filePaths) {
+            if (!this._isIndexed(filePath)) this._addToIndex(filePath);
+        }
+        for (const filePath of this.cache.keys()) {
+            if (!found.has(filePath) && !this.buffers.has(filePath)) {
+                this.cache.delete(filePath);
+                this._markChanged();
+            }
+        }
+
+        let done = 0;
+        await this._runConcurrently(filePaths, async (filePath) => {
+            await this._refreshEntry(filePath);
+
+            done++;
+            if (onProgress) onProgress(done, filePaths.length);
+        });
+
+        // 스캔 중에 만든 역링크 수는 일부 페이지만 반영하므로 순위용으로도 다시 만듦
+        this.linkGraphBuilt = false;
+        this._commitChanges(previousVersion);
+    }
+
+    // 디렉터리 아래의 모든 페이지 파일 경로 (디렉터리가 없으면 null)
+    async _collectPageFiles(dir) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.log(`디렉터리 스캔 실패: ${dir}`, error.message);
+            }
+            return null;
+        }
+
+        const filePaths = [];
+        for (const entry of entries) {
+            if (!entry || !entry.name) continue;
+
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                const nested = await this._collectPageFiles(fullPath);
+                if (nested) filePaths.push(...nested);
+            } else if (
+                entry.isFile() &&
+                FileUtils.isPageFile(entry.name, this.options.extension)
+            ) {
+                filePaths.push(fullPath);
+            }
+        }
+
+        return filePaths;
+    }
+
+    // 한 번에 CONFIG.INDEX_CONCURRENCY개씩 비동기 작업 실행
+    async _runConcurrently(items, worker) {
+        let next = 0;
+        const run = async () => {
+            while (next < items.length) {
+                await worker(items[next++]);
+            }
+        };
+
+        await Promise.all(
+            Array.from(
+                { length: Math.min(CONFIG.INDEX_CONCURRENCY, items.length) },
+                run
+            )
+        );
+    }
+
+    // 파일이 바뀌었으면 비동기로 다시 읽어 캐시 갱신 (열린 문서는 그대로 둠)
+    async _refreshEntry(filePath) {
+        if (this.buffers.has(filePath)) return;
+
+        try {
+            const stats = await fs.promises.stat(filePath);
+            const cached = this.cache.get(filePath);
+            if (cached && cached.isValid(stats)) return;
+
+            const content = await fs.promises.readFile(
+                filePath,
+                CONFIG.ENCODING
+            );
+            if (this.buffers.has(filePath)) return;
+
+            const entry = content
+                ? this._parseEntry(filePath, content, stats)
+                : null;
+            if (entry) {
+                this.cache.set(filePath, entry);
+            } else {
+                this.cache.delete(filePath);
+            }
+            this._markChanged();
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.log(`파일 캐싱 실패: ${filePath}`, error.message);
+            }
+            if (!this.buffers.has(filePath) && this.cache.delete(filePath)) {
+                this._markChanged();
+            }
+        }
+    }
+
+    // 클라이언트가 workspace/didChangeWatchedFiles로 변경을 알려 줌
+    enableChangeEvents() {
+        this.eventDriven = true;
+    }
+
+    // 클라이언트가 파일 감시를 지원하지 않으면 재귀 fs.watch로 직접 감시
+    watch() {
+        if (this.watcher || !this.wikiRoot) return;
+
+        try {
+            this.watcher = fs.watch(
+                this.wikiRoot,
+                { recursive: true },
+                (eventType, fileName) => {
+                    if (fileName) {
+                        this.applyFileChange(
+                            path.join(this.wikiRoot, fileName.toString())
+                        );
+                    } else {
+                        // 파일 이름을 알 수 없으면 다음 요청에서 다시 스캔
+                        this.lastScan = 0;
+                    }
+                }
+            );
+            this.watcher.on("error", (error) => {
+                logger.log("파일 감시 오류, 주기적 스캔으로 전환:", error.message);
+                this.unwatch();
+            });
+            this.eventDriven = true;
+            logger.log(`파일 감시 시작: ${this.wikiRoot}`);
+        } catch (error) {
+            logger.log("파일 감시 실패, 주기적 스캔 사용:", error.message);
+            this.watcher = null;
+        }
+    }
+
+    unwatch() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        this.eventDriven = false;
+        this.lastScan = 0;
+    }
+
+    // 생성, 변경, 삭제된 경로 하나를 인덱스와 캐시에 반영 (디렉터리는 하위 페이지 전체)
+    async applyFileChange(filePath) {
+        if (!this.wikiRoot || !filePath) return;
+        if (!PathUtils.isInside(filePath, this.wikiRoot)) return;
+
+        const previousVersion = this.version;
+
+        try {
+            const stats = await fs.promises.stat(filePath).catch(() => null);
+
+            if (!stats) {
+                this._removePath(filePath);
+            } else if (stats.isDirectory()) {
+                await this._addDirectory(filePath);
+            } else if (
+                stats.isFile() &&
+                FileUtils.isPageFile(filePath, this.options.extension)
+            ) {
+                if (!this._isIndexed(filePath)) this._addToIndex(filePath);
+                await this._refreshEntry(filePath);
+            }
+        } catch (error) {
+            logger.log(`파일 변경 반영 실패: ${filePath}`, error.message);
+        }
+
+        this._commitChanges(previousVersion);
+    }
+
+    // 옮겨 오거나 새로 만든 디렉터리 아래의 모든 페이지 추가
+    async _addDirectory(dir) {
+        const filePaths = (await this._collectPageFiles(dir)) || [];
+
+        for (const filePath of filePaths) {
+            if (!this._isIndexed(filePath)) this._addToIndex(filePath);
+        }
+        await this._runConcurrently(filePaths, (filePath) =>
+            this._refreshEntry(filePath)
+        );
+    }
+
+    // 삭제된 페이지, 또는 삭제된 디렉터리 아래의 모든 페이지 제거
+    _removePath(removedPath) {
+        const prefix = removedPath + path.sep;
+
+        for (const filePath of this._getIndexedPaths()) {
+            if (filePath === removedPath || filePath.startsWith(prefix)) {
+                this._removeFromIndex(filePath);
+            }
+        }
+    }
+
+    _getIndexedPaths() {
+        return [...this.basenameIndex.values()].flat();
+    }
+
+    _isIndexed(filePath) {
+        return this.findCandidates(
+            FileUtils.getPageName(filePath, this.options.extension)
+        ).includes(filePath);
+    }
+
+    _getIndexKeys(filePath) {
+        const relativePath = FileUtils.removeExtension(
+            path.relative(this.wikiRoot, filePath),
+            this.options.extension
+        );
+        return {
+            relativeKey: relativePath.toLowerCase(),
+            fileNameKey: path.basename(relativePath).toLowerCase(),
+        };
+    }
+
+    _addToIndex(filePath) {
+        const { relativeKey, fileNameKey } = this._getIndexKeys(filePath);
+
+        this.fileIndex.set(relativeKey, filePath);
+        if (!this.fileIndex.has(fileNameKey)) {
+            this.fileIndex.set(fileNameKey, filePath);
+        }
+
+        if (!this.basenameIndex.has(fileNameKey)) {
+            this.basenameIndex.set(fileNameKey, []);
+        }
+        this.basenameIndex.get(fileNameKey).push(filePath);
+        this._markChanged();
+    }
+
+    // 파일명 키가 지운 파일을 가리키면 같은 이름의 다른 파일로 교체
+    _removeFromIndex(filePath) {
+        const { relativeKey, fileNameKey } = this._getIndexKeys(filePath);
+
+        if (this.fileIndex.get(relativeKey) === filePath) {
+            this.fileIndex.delete(relativeKey);
+        }
+
+        const candidates = (this.basenameIndex.get(fileNameKey) || []).filter(
+            (candidate) => candidate !== filePath
+        );
+        if (candidates.length > 0) {
+            this.basenameIndex.set(fileNameKey, candidates);
+        } else {
+            this.basenameIndex.delete(fileNameKey);
+        }
+
+        const fileNameTarget = this.fileIndex.get(fileNameKey);
+        if (!fileNameTarget || fileNameTarget === filePath) {
+            if (candidates.length > 0) {
+                this.fileIndex.set(fileNameKey, candidates[0]);
+            } else {
+                this.fileIndex.delete(fileNameKey);
+            }
+        }
+
+        this.cache.delete(filePath);
+        this._markChanged();
+    }
+
+    // 파일이 속한 위키의 캐시 (어느 위키에도 속하지 않으면 null)
+    _findOwner(filePath) {
+        if (this.registry) {
+            const wiki = this.registry.findByPath(filePath);
+            return wiki ? wiki.fileCache : null;
+        }
+
+        return !this.wikiRoot || PathUtils.isInside(filePath, this.wikiRoot)
+            ? this
+            : null;
+    }
+
+    getFileInfo(filePath) {
+        if (!filePath) {
+            return FileInfo.notFound();
+        }
+
+        // 다른 위키의 파일은 그 위키의 캐시에서, 위키 밖의 파일은 캐싱 없이 읽음
+        const owner = this._findOwner(filePath);
+        if (owner !== this) {
+            if (owner) return owner.getFileInfo(filePath);
+
+            const entry = this._readEntry(filePath);
+            return entry
+                ? entry.data
+                : FileInfo.notFound(
+                      FileUtils.getPageName(filePath, this.options.extension)
+                  );
+        }
+
+        // 이미지나 첨부 파일은 파싱하거나 페이지 캐시에 넣지 않음
+        if (!FileUtils.isPageFile(filePath, this.options.extension)) {
+            return new FileInfo({
+                title: path.basename(filePath),
+                exists: FileUtils.exists(filePath),
+            });
+        }
+
+        const cached = this.cache.get(filePath);
+        if (cached) {
+            const stats = FileUtils.getStats(filePath);
+            if (cached.isValid(stats)) {
+                return cached.data;
+            }
+        }
+
+        return this._loadAndCacheFile(filePath);
+    }
+
+    // mtime이 바뀌었으면 다시 읽은 헤딩 목록 반환
+    getHeadings(filePath) {
+        if (!filePath) return [];
+
+        const owner = this._findOwner(filePath);
+        if (owner !== this) {
+            if (owner) return owner.getHeadings(filePath);
+
+            const entry = this._readEntry(filePath);
+            return entry ? entry.headings : [];
+        }
+        if (!FileUtils.isPageFile(filePath, this.options.extension)) return [];
+
+        const fileInfo = this.getFileInfo(filePath);
+        const entry = this.cache.get(filePath);
+        return fileInfo.exists && entry ? entry.headings : [];
+    }
+
+    _loadAndCacheFile(filePath, stats = null) {
+        const entry = this._readEntry(filePath, stats);
+        if (!entry) {
+            return FileInfo.notFound(
+                FileUtils.getPageName(filePath, this.options.extension)
+            );
+        }
+
+        this._replaceEntry(filePath, entry);
+        return entry.data;
+    }
+
+    // 이미 있던 페이지의 내용만 바뀌었으면 그 페이지의 링크와 태그만 인덱스에서 교체
+    // 새 페이지나 별칭이 바뀐 페이지는 다른 페이지의 링크 해석도 바뀌므로 전부 다시 만듦
+    _replaceEntry(filePath, entry) {
+        const previous = this.cache.get(filePath);
+        this.cache.set(filePath, entry);
+
+        const aliasesChanged =
+            !previous ||
+            previous.data.aliases.join("\n") !== entry.data.aliases.join("\n");
+        if (aliasesChanged || !this.wikiRoot) {
+            this._markChanged();
+            return;
+        }
+
+        if (!this.linkGraphDirty) {
+            const { backlinks, wikiRoot } = this;
+            this._removeLinks(backlinks, filePath, previous.links);
+            this._addLinks(backlinks, filePath, entry.links, wikiRoot);
+        }
+        if (!this.tagIndexDirty) {
+            this._removeTags(this.tagIndex, filePath, previous.tags);
+            this._addTags(this.tagIndex, filePath, entry.tags);
+        }
+        this.version++;
+    }
+
+    // 열린 문서가 있으면 그 내용, 없으면 파일을 읽어 파싱 (실패하면 null)
+    _readEntry(filePath, stats = null) {
+        if (this.buffers.has(filePath)) {
+            return this._parseEntry(filePath, this.buffers.get(filePath), null);
+        }
+
+        if (!stats) {
+            stats = FileUtils.getStats(filePath);
+        }
+        if (!stats) return null;
+
+        const content = FileUtils.readFile(filePath);
+        if (!content) return null;
+
+        return this._parseEntry(filePath, content, stats);
+    }
+
+    // 메타데이터, 링크, 헤딩, 태그를 위키 문법에 맞게 파싱 (stats가 null이면 열린 문서)
+    _parseEntry(filePath, content, stats) {
+        try {
+            const { extension, syntax } = this.options;
+            const fileInfo = FileInfo.fromFrontmatter(
+                MetadataParser.parse(content, syntax),
+                filePath,
+                extension
+            );
+
+            const mtime = stats ? stats.mtime.getTime() : null;
+            return new CacheEntry(fileInfo, mtime, {
+                size: stats ? stats.size : null,
+                links: WikiLinkParser.extractAll(content, syntax, extension),
+                headings: HeadingParser.parse(content, syntax),
+                tags: TagParser.extractAll(content, syntax),
+                fromBuffer: !stats,
+            });
+        } catch (error) {
+            logger.log(`파일 캐싱 실패: ${filePath}`, error.message);
+            return null;
+        }
+    }
+
+    // 열린 문서의 내용을 디스크보다 우선해서 사용
+    setBuffer(filePath, text) {
+        if (!filePath || typeof text !== "string") return;
+        if (this.buffers.get(filePath) === text) return;
+
+        this.buffers.set(filePath, text);
+        this._loadAndCacheFile(filePath);
+        this._notifyChange();
+    }
+
+    // 문서를 닫으면 디스크 내용으로 되돌림
+    releaseBuffer(filePath) {
+        if (!this.buffers.delete(filePath)) return;
+
+        this.cache.delete(filePath);
+        if (this._isIndexed(filePath)) this._loadAndCacheFile(filePath);
+        this._markChanged();
+        this._notifyChange();
+        this._schedulePersist();
+    }
+
+    // 열린 문서의 내용 또는 파일 내용
+    getContent(filePath) {
+        if (!filePath) return null;
+
+        const owner = this._findOwner(filePath);
+        if (owner && owner !== this) return owner.getContent(filePath);
+
+        return this.buffers.has(filePath)
+            ? this.buffers.get(filePath)
+            : FileUtils.readFile(filePath);
+    }
+
+    findFile(targetPath) {
+        if (!targetPath || typeof targetPath !== "string") return null;
+
+        const exactMatch = this.fileIndex.get(targetPath.toLowerCase());
+        if (exactMatch) return exactMatch;
+
+        const fileName = path.basename(targetPath).toLowerCase();
+        const fileMatch = this.fileIndex.get(fileName);
+        if (fileMatch) return fileMatch;
+
+        // 이름을 바꾼 페이지는 frontmatter aliases에 남긴 이전 이름으로 찾음
+        return this.findByAlias(targetPath)[0] || null;
+    }
+
+    // 별칭이 같은 모든 페이지 경로 (대소문자 무시)
+    findByAlias(alias) {
+        if (!alias || typeof alias !== "string") return [];
+        if (this.aliasIndexDirty) this._rebuildAliasIndex();
+
+        return this.aliasIndex.get(alias.trim().toLowerCase()) || [];
+    }
+
+    // 별칭(소문자) -> 그 별칭을 가진 페이지 경로 목록
+    _rebuildAliasIndex() {
+        const aliasIndex = new Map();
+
+        for (const [filePath, entry] of this.cache.entries()) {
+            for (const alias of entry.data.aliases || []) {
+                const key = alias.toLowerCase();
+                if (!aliasIndex.has(key)) aliasIndex.set(key, []);
+                if (!aliasIndex.get(key).includes(filePath)) {
+                    aliasIndex.get(key).push(filePath);
+                }
+            }
+        }
+
+        this.aliasIndex = aliasIndex;
+        this.aliasIndexDirty = false;
+    }
+
+    // 파일명이 같은 모든 후보 경로
+    findCandidates(targetPath) {
+        if (!targetPath || typeof targetPath !== "string") return [];
+
+        const fileName = path.basename(targetPath).toLowerCase();
+        return this.basenameIndex.get(fileName) || [];
+    }
+
+    // 파일명만으로 찾으면 모호해지는 페이지 묶음
+    getDuplicateBasenames() {
+        return [...this.basenameIndex.entries()]
+            .filter(([, filePaths]) => filePaths.length > 1)
+            .map(([name, filePaths]) => ({ name, filePaths }));
+    }
+
+    // 위키 링크를 실제 파일 경로로 변환 (없으면 null)
+    // currentPath가 주어지면 [[#section]]은 현재 페이지로 해석
+    resolveLink(wikiLink, currentDir, wikiRoot, currentPath = null) {
+        const link = WikiLinkParser.parse(wikiLink);
+        if (!link || !currentDir || !wikiRoot) return null;
+        if (!link.target) {
+            return !link.scheme && link.anchor && currentPath
+                ? currentPath
+                : null;
+        }
+        if (link.isInterwiki) return this._resolveInterwikiLink(link);
+
+        const targetPath = PathUtils.resolveLinkPath(
+            link,
+            currentDir,
+            wikiRoot,
+            this.options
+        );
+        if (!targetPath) return null;
+
+        if (this.cache.has(targetPath) || FileUtils.exists(targetPath)) {
+            return targetPath;
+        }
+
+        // 스킴이 없는 링크만 파일명으로 다시 찾음
+        return link.scheme ? null : this.findFile(link.target);
+    }
+
+    // [[wiki1:page]], [[wn.이름:page]]는 해당 위키의 루트 기준으로 해석
+    _resolveInterwikiLink(link) {
+        const wiki = this.registry?.findByScheme(link.scheme);
+        if (!wiki) return null;
+
+        wiki.fileCache.initialize(wiki.root).catch((error) => {
+            logger.log("캐시 초기화 실패:", error.message);
+        });
+        return wiki.fileCache.resolveLink(link.target, wiki.root, wiki.root);
+    }
+
+    // 다른 위키로의 링크는 그 위키의 인덱싱이 끝날 때까지 기다림
+    // (resolveLink 전에 호출하면 덜 만들어진 인덱스로 해석하지 않음)
+    async waitForLinkTarget(wikiLink) {
+        const link = WikiLinkParser.parse(wikiLink);
+        if (!link || !link.isInterwiki) return;
+
+        const wiki = this.registry?.findByScheme(link.scheme);
+        if (wiki && wiki.fileCache !== this) {
+            await wiki.fileCache.ready(wiki.root);
+        }
+    }
+
+    // 모든 페이지의 나가는 링크를 해석해 역링크 맵 재구성
+    _rebuildLinkGraph(wikiRoot) {
+        const backlinks = new Map();
+
+        for (const [sourcePath, entry] of this.cache.entries()) {
+            this._addLinks(backlinks, sourcePath, entry.links, wikiRoot);
+        }
+
+        this.backlinks = backlinks;
+        this.linkGraphDirty = false;
+        this.linkGraphBuilt = true;
+    }
+
+    // 한 페이지의 나가는 링크를 해석해 역링크 맵에 추가
+    _addLinks(backlinks, sourcePath, links, wikiRoot) {
+        const currentDir = path.dirname(sourcePath);
+
+        for (const link of links) {
+            link.target = this.resolveLink(link.link, currentDir, wikiRoot);
+            if (!link.target) continue;
+
+            if (!backlinks.has(link.target)) backlinks.set(link.target, []);
+            backlinks.get(link.target).push({
+                source: sourcePath,
+                range: link.range,
+            });
+        }
+    }
+
+    // 한 페이지의 이전 링크를 역링크 맵에서 제거
+    _removeLinks(backlinks, sourcePath, links) {
+        for (const { target } of links) {
+            const sources = target && backlinks.get(target);
+            if (!sources) continue;
+
+            const remaining = sources.filter(
+                ({ source }) => source !== sourcePath
+            );
+            if (remaining.length > 0) {
+                backlinks.set(target, remaining);
+            } else {
+                backlinks.delete(target);
+            }
+        }
+    }
+
+    getOutgoingLinks(filePath, wikiRoot) {
+        if (this.linkGraphDirty) this._rebuildLinkGraph(wikiRoot);
+
+        const entry = this.cache.get(filePath);
+        return entry ? entry.links : [];
+    }
+
+    getBacklinks(filePath, wikiRoot) {
+        if (!filePath || !wikiRoot) return [];
+        if (this.linkGraphDirty) this._rebuildLinkGraph(wikiRoot);
+
+        return this.backlinks.get(filePath) || [];
+    }
+
+    // 파일 이름, 상대 경로, 제목, 별칭 중 가장 잘 맞는 점수로 페이지를 정렬
+    // 많이 링크된 페이지와 최근 수정한 페이지에 가산점
+    searchFiles(query, wikiRoot, limit = CONFIG.MAX_COMPLETION_RESULTS) {
+        if (!wikiRoot) return [];
+
+        const results = [];
+        const now = Date.now();
+
+        for (const fullPath of this.getPagePaths()) {
+            try {
+                const relativePath = FileUtils.removeExtension(
+                    path.relative(wikiRoot, fullPath),
+                    this.options.extension
+                );
+                const fileName = path.basename(relativePath);
+                const match = this._matchPage(query, fullPath, relativePath);
+                if (!match) continue;
+
+                results.push({
+                    path: relativePath,
+                    fullPath,
+                    fileName,
+                    alias: match.alias,
+                    score:
+                        match.score +
+                        this._getPageBoost(fullPath, wikiRoot, now),
+                });
+            } catch (error) {
+                logger.log(`파일 검색 중 오류: ${fullPath}`, error.message);
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+            .slice(0, limit);
+    }
+
+    // 검색어와 가장 잘 맞는 이름의 점수 (별칭으로 맞았으면 그 별칭도 반환)
+    _matchPage(query, fullPath, relativePath) {
+        const entry = this.cache.get(fullPath);
+        const candidates = [
+            { text: path.basename(relativePath), bonus: 10 },
+            { text: relativePath.replace(/\\/g, "/"), bonus: 0 },
+        ];
+        if (entry) {
+            candidates.push({ text: entry.data.title, bonus: 5 });
+            for (const alias of entry.data.aliases || []) {
+                candidates.push({ text: alias, bonus: 5, alias });
+            }
+        }
+
+        let best = null;
+        for (const { text, bonus, alias } of candidates) {
+            const score = FuzzyMatcher.score(query, text);
+            if (score === null) continue;
+            if (!best || score + bonus > best.score) {
+                best = { score: score + bonus, alias: alias || null };
+            }
+        }
+
+        return best;
+    }
+
+    // 순위에는 대략적인 링크 수면 충분하므로 링크 그래프는 스캔마다 한 번만 만들고
+    // 그 사이에 파일이 바뀌어도 마지막 역링크 수를 사용
+    _getPageBoost(fullPath, wikiRoot, now) {
+        if (!this.linkGraphBuilt) this._rebuildLinkGraph(wikiRoot);
+
+        const linkCount = (this.backlinks.get(fullPath) || []).length;
+        let boost = Math.min(
+            CONFIG.COMPLETION_LINK_BOOST,
+            Math.log2(1 + linkCount) * 10
+        );
+
+        // 열린 문서(mtime 없음)는 방금 수정한 것으로 취급
+        const entry = this.cache.get(fullPath);
+        if (entry) {
+            const ageDays = entry.mtime ? (now - entry.mtime) / 86400000 : 0;
+            boost +=
+                CONFIG.COMPLETION_RECENT_BOOST *
+                Math.max(0, 1 - ageDays / CONFIG.COMPLETION_RECENT_DAYS);
+        }
+
+        return boost;
+    }
+
+    // 태그(소문자) -> { name, pages: Map<파일 경로, 위치 목록> }
+    _rebuildTagIndex() {
+        const tagIndex = new Map();
+
+        for (const [filePath, entry] of this.cache.entries()) {
+            this._addTags(tagIndex, filePath, entry.tags);
+        }
+
+        this.tagIndex = tagIndex;
+        this.tagIndexDirty = false;
+    }
+
+    _addTags(tagIndex, filePath, tags) {
+        for (const { name, range } of tags) {
+            const key = name.toLowerCase();
+            if (!tagIndex.has(key)) {
+                tagIndex.set(key, { name, pages: new Map() });
+            }
+
+            const { pages } = tagIndex.get(key);
+            if (!pages.has(filePath)) pages.set(filePath, []);
+            pages.get(filePath).push(range);
+        }
+    }
+
+    _removeTags(tagIndex, filePath, tags) {
+        for (const { name } of tags) {
+            const key = name.toLowerCase();
+            const entry = tagIndex.get(key);
+            if (!entry) continue;
+
+            entry.pages.delete(filePath);
+            if (entry.pages.size === 0) tagIndex.delete(key);
+        }
+    }
+
+    // 모든 태그와 태그가 달린 페이지 수
+    getTags() {
+        if (this.tagIndexDirty) this._rebuildTagIndex();
+
+        return [...this.tagIndex.values()].map(({ name, pages }) => ({
+            name,
+            count: pages.size,
+        }));
+    }
+
+    // 태그가 달린 페이지 경로와 태그 위치
+    getPagesByTag(tag) {
+        if (!tag || typeof tag !== "string") return [];
+        if (this.tagIndexDirty) this._rebuildTagIndex();
+
+        const entry = this.tagIndex.get(tag.replace(/^[#:]/, "").toLowerCase());
+        return entry
+            ? [...entry.pages.entries()].map(([filePath, ranges]) => ({
+                  filePath,
+                  ranges,
+              }))
+            : [];
+    }
+
+    // 유효한 캐시 엔트리 목록 [파일 경로, CacheEntry]
+    getEntries() {
+        return [...this.cache.entries()].filter(([, entry]) => entry.data.exists);
+    }
+
+    // 인덱스에 있는 모든 페이지 경로 (인덱싱 중에는 지금까지 찾은 페이지)
+    getPagePaths() {
+        return [...new Set(this._getIndexedPaths())];
+    }
+
+    getStats() {
+        return {
+            cacheSize: this.cache.size,
+            indexSize: this.fileIndex.size,
+            linkTargets: this.backlinks.size,
+            tagCount: this.tagIndex.size,
+            lastScan: new Date(this.lastScan).toISOString(),
+            initialized: this.initialized,
+            indexing: this.indexing,
+            watching: this.eventDriven,
+        };
+    }
+}
+
+// 위키 파일 Resolver
+class WikiFileResolver {
+    constructor(
+        fileCache,
+        wikiRoot,
+        completionOptions = {},
+        hoverOptions = {}
+    ) {
+        this.fileCache = fileCache;
+        this.wikiRoot = wikiRoot;
+        this.maxCompletionResults =
+            completionOptions.maxResults > 0
+                ? completionOptions.maxResults
+                : CONFIG.MAX_COMPLETION_RESULTS;
+        this.excerptLines =
+            hoverOptions.excerptLines >= 0
+                ? hoverOptions.excerptLines
+                : CONFIG.HOVER_EXCERPT_LINES;
+    }
+
+    // 위키 링크를 실제 파일 경로로 변환 (없으면 null)
+    async resolvePath(wikiLink, currentDir, currentPath = null) {
+        if (!wikiLink || !currentDir || !this.wikiRoot) return null;
+
+        await this.fileCache.initialize(this.wikiRoot);
+        this.fileCache.scanDirectory(this.wikiRoot);
+        await this.fileCache.waitForLinkTarget(wikiLink);
+
+        return this.fileCache.resolveLink(
+            wikiLink,
+            currentDir,
+            this.wikiRoot,
+            currentPath
+        );
+    }
+
+    // 문서의 위키 링크, 마크다운 링크, 참조 링크, URL을 클릭할 수 있는 링크로 변환
+    // 대상 파일을 찾지 못한 링크는 제외
+    async getDocumentLinks(text, currentPath) {
+        const { syntax, extension } = this.fileCache.options;
+        const currentDir = path.dirname(currentPath);
+        const links = [
+            ...WikiLinkParser.extractAll(text, syntax, extension),
+            ...(SyntaxUtils.get(syntax).hasMarkdownLinks
+                ? MarkdownLinkParser.extractReferences(text, extension)
+                : []),
+        ];
+        const documentLinks = [];
+
+        await this.fileCache.initialize(this.wikiRoot);
+        this.fileCache.scanDirectory(this.wikiRoot);
+
+        for (const { link: wikiLink, range } of links) {
+            const link = WikiLinkParser.parse(wikiLink);
+            if (!link) continue;
+
+            if (link.isExternal) {
+                documentLinks.push({ range, target: link.target });
+                continue;
+            }
+
+            await this.fileCache.waitForLinkTarget(wikiLink);
+            const targetPath = this.fileCache.resolveLink(
+                wikiLink,
+                currentDir,
+                this.wikiRoot,
+                currentPath
+            );
+            if (!targetPath) continue;
+
+            documentLinks.push({
+                range,
+                target: PathUtils.toUri(targetPath),
+                tooltip: path.relative(this.wikiRoot, targetPath),
+            });
+        }
+
+        // 다른 링크 안에 있지 않은 URL
+        for (const { url, range } of UrlParser.extractAll(text)) {
+            const overlaps = links.some(
+                (link) =>
+                    link.range.start.line === range.start.line &&
+                    link.range.start.character < range.end.character &&
+                    range.start.character < link.range.end.character
+            );
+            if (!overlaps) documentLinks.push({ range, target: url });
+        }
+
+        return documentLinks;
+    }
+
+    // 이 위키의 페이지 호버: 메타데이터, 링크 수, 최상위 헤딩, 본문 발췌
+    getPageHoverContent(targetPath) {
+        const fileInfo = this.fileCache.getFileInfo(targetPath);
+        if (!fileInfo.exists) return null;
+
+        // 페이지가 아닌 파일은 이름만 표시
+        const { fileCache, wikiRoot } = this;
+        if (!FileUtils.isPageFile(targetPath, fileCache.options.extension)) {
+            return fileInfo.toHoverContent();
+        }
+
+        const headings = this.fileCache.getHeadings(targetPath);
+        const topLevel = Math.min(...headings.map(({ level }) => level));
+
+        return fileInfo.toHoverContent({
+            outgoing: fileCache.getOutgoingLinks(targetPath, wikiRoot).length,
+            incoming: fileCache.getBacklinks(targetPath, wikiRoot).length,
+            headings: headings
+                .filter(({ level }) => level === topLevel)
+                .slice(0, CONFIG.MAX_HOVER_HEADINGS)
+                .map(({ text }) => text),
+            excerpt: this._getExcerpt(this.fileCache.getContent(targetPath)),
+        });
+    }
+
+    // 메타데이터를 건너뛴 본문 앞부분 (잘린 코드 블록은 닫아 줌)
+    _getExcerpt(content) {
+        if (!content || this.excerptLines === 0) return "";
+
+        const { syntax } = this.fileCache.options;
+        const lines = content
+            .replace(/^\uFEFF/, "")
+            .split("\n")
+            .map((line) => line.replace(/\r$/, ""));
+        const block = MetadataParser.getBlock(content, syntax);
+        let start = block ? block.endLine + 1 : 0;
+
+        if (SyntaxUtils.isNative(syntax)) {
+            while (start < lines.length && /^%\w+/.test(lines[start])) start++;
+        }
+        while (start < lines.length && !lines[start].trim()) start++;
+
+        const excerpt = lines.slice(start, start + this.excerptLines);
+        let inCodeBlock = false;
+        for (const line of excerpt) {
+            if (SyntaxUtils.isCodeBlockBoundary(line, inCodeBlock, syntax)) {
+                inCodeBlock = !inCodeBlock;
+            }
+        }
+
+        while (excerpt.length > 0 && !excerpt[excerpt.length - 1].trim()) {
+            excerpt.pop();
+        }
+        if (inCodeBlock) {
+            excerpt.push(SyntaxUtils.isNative(syntax) ? "}}}" : "```");
+        }
+        if (lines.length > start + this.excerptLines) excerpt.push("", "…");
+
+        return excerpt.join("\n");
+    }
+
+    resolveUrlHover(url) {
+        const kind = MarkdownLinkParser.isImagePath(url)
+            ? "🖼️ 원격 이미지"
+            : "🌐 외부 링크";
+
+        return {
+            contents: {
+                kind: MarkupKind.Markdown,
+                value: `**${kind}**\n\n<${url}>`,
+            },
+        };
+    }
+
+    // 로컬 이미지 경로와 파일 존재 여부 (/로 시작하면 위키 루트 기준도 확인)
+    resolveImageHover(target, currentDir) {
+        if (/^(?:https?|ftp):\/\//i.test(target)) {
+            return this.resolveUrlHover(target);
+        }
+
+        let decoded = target.split(/[?#]/)[0];
+        try {
+            decoded = decodeURI(decoded);
+        } catch {
+            // 잘못된 퍼센트 인코딩이면 그대로 사용
+        }
+        const candidates = [PathUtils.resolveFilePath(decoded, currentDir)];
+        if (decoded.startsWith("/")) {
+            candidates.unshift(path.join(this.wikiRoot, decoded));
+        }
+
+        const imagePath =
+            candidates.find((candidate) => FileUtils.exists(candidate)) ||
+            candidates[0];
+        const stats = FileUtils.getStats(imagePath);
+        const status = stats
+            ? `✅ 파일 있음 (${FileUtils.formatSize(stats.size)})`
+            : "⚠️ 파일을 찾을 수 없음";
+
+        return {
+            contents: {
+                kind: MarkupKind.Markdown,
+                value: `**🖼️ 이미지**\n\n\`${imagePath}\`\n\n${status}`,
+            },
+        };
+    }
+
+    // [[page#section]]이 가리키는 섹션의 헤딩과 내용 (찾지 못하면 null)
+    async resolveSection(wikiLink, currentDir, currentPath = null) {
+        const link = WikiLinkParser.parse(wikiLink);
+        if (!link || !link.anchor) return null;
+
+        try {
+            const targetPath = await this.resolvePath(
+                wikiLink,
+                currentDir,
+                currentPath
+            );
+            if (!targetPath) return null;
+
+            const headings = this.fileCache.getHeadings(targetPath);
+            const heading = HeadingParser.findByAnchor(headings, link.anchor);
+            if (!heading) return null;
+
+            return {
+                fileInfo: this.fileCache.getFileInfo(targetPath),
+                heading,
+                sectionText: HeadingParser.getSectionText(
+                    this.fileCache.getContent(targetPath),
+                    headings,
+                    heading
+                ),
+            };
+        } catch (error) {
+            logger.log(`섹션 해결 실패: ${wikiLink}`, error.message);
+            return null;
+        }
+    }
+
+    async resolveForDefinition(wikiLink, currentDir, currentPath = null) {
+        if (!wikiLink || !currentDir || !this.wikiRoot) return null;
+
+        try {
+            const { anchor } = WikiLinkParser.parse(wikiLink);
+            const targetPath = await this.resolvePath(
+                wikiLink,
+                currentDir,
+                currentPath
+            );
+            if (!targetPath) return null;
+
+            let line = 0;
+            if (anchor) {
+                const heading = HeadingParser.findByAnchor(
+                    this.fileCache.getHeadings(targetPath),
+                    anchor
+                );
+                if (heading) line = heading.line;
+            }
+
+            const position = { line, character: 0 };
+            return {
+                uri: PathUtils.toUri(targetPath),
+                range: { start: position, end: position },
+            };
+        } catch (error) {
+            logger.log(`정의 위치 해결 실패: ${wikiLink}`, error.message);
+            return null;
+        }
+    }
+
+    // 대상 파일을 링크하는 모든 위치 반환
+    async findReferences(targetPath) {
+        if (!targetPath || !this.wikiRoot) return [];
+
+        try {
+            await this.fileCache.initialize(this.wikiRoot);
+            this.fileCache.scanDirectory(this.wikiRoot);
+
+            return this.fileCache
+                .getBacklinks(targetPath, this.wikiRoot)
+                .map(({ source, range }) => ({
+                    uri: PathUtils.toUri(source),
+                    range,
+                }));
+        } catch (error) {
+            logger.log(`역링크 검색 실패: ${targetPath}`, error.message);
+            return [];
+        }
+    }
+
+    // [[page#까지 입력했을 때 대상 페이지의 헤딩 자동완성
+    // [[#은 현재 페이지의 헤딩 (currentText가 주어지면 편집 중인 내용에서 추출)
+    async searchHeadingsForCompletion(
+        target,
+        currentDocumentUri,
+        range,
+        currentText = null
+    ) {
+        if (!currentDocumentUri || !this.wikiRoot) return [];
+
+        try {
+            const currentPath = PathUtils.fromUri(currentDocumentUri);
+            let headings;
+            if (!target) {
+                headings =
+                    currentText !== null
+                        ? HeadingParser.parse(
+                              currentText,
+                              this.fileCache.options.syntax
+                          )
+                        : this.fileCache.getHeadings(currentPath);
+            } else {
+                const targetPath = await this.resolvePath(
+                    `${target}#`,
+                    path.dirname(currentPath),
+                    currentPath
+                );
+                if (!targetPath) return [];
+
+                headings = this.fileCache.getHeadings(targetPath);
+            }
+
+            return headings.map((heading) =>
+                WikiFileResolver.createHeadingCompletionItem(heading, range)
+            );
+        } catch (error) {
+            logger.log("헤딩 자동완성 검색 실패:", error.message);
+            return [];
+        }
+    }
+
+    static createHeadingCompletionItem(heading, range) {
+        return {
+            label: heading.text,
+            kind: CompletionItemKind.Reference,
+            detail: "#".repeat(heading.level),
+            sortText: String(heading.line).padStart(6, "0"),
+            filterText: heading.anchor,
+            textEdit: { range, newText: heading.anchor },
+        };
+    }
+
+    async listTags() {
+        if (!this.wikiRoot) return [];
+
+        try {
+            await this.fileCache.initialize(this.wikiRoot);
+            this.fileCache.scanDirectory(this.wikiRoot);
+
+            return this.fileCache
+                .getTags()
+                .sort(
+                    (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+                );
+        } catch (error) {
+            logger.log("태그 목록 조회 실패:", error.message);
+            return [];
+        }
+    }
+
+    // 태그가 달린 모든 페이지 (페이지 선택기용)
+    async findPagesByTag(tag) {
+        if (!tag || !this.wikiRoot) return [];
+
+        try {
+            await this.fileCache.initialize(this.wikiRoot);
+            this.fileCache.scanDirectory(this.wikiRoot);
+
+            return this.fileCache
+                .getPagesByTag(tag)
+                .map(({ filePath, ranges }) => ({
+                    path: FileUtils.removeExtension(
+                        path.relative(this.wikiRoot, filePath),
+                        this.fileCache.options.extension
+                    ),
+                    uri: PathUtils.toUri(filePath),
+                    title: this.fileCache.getFileInfo(filePath).title,
+                    locations: ranges.map((range) => ({
+                        uri: PathUtils.toUri(filePath),
+                        range,
+                    })),
+                }))
+                .sort((a, b) => a.path.localeCompare(b.path));
+        } catch (error) {
+            logger.log(`태그 페이지 검색 실패: ${tag}`, error.message);
+            return [];
+        }
+    }
+
+    async resolveTagHover(tag) {
+        const pages = await this.findPagesByTag(tag);
+        const titles = pages
+            .slice(0, CONFIG.MAX_TAG_HOVER_PAGES)
+            .map(({ title, path: wikiPath }) => `- ${title} (${wikiPath})`);
+
+        if (pages.length > CONFIG.MAX_TAG_HOVER_PAGES) titles.push("- …");
+
+        let content = `**#${tag}**\n\n${pages.length}개 페이지`;
+        if (titles.length > 0) {
+            content += `\n\n${titles.join("\n")}`;
+        }
+
+        return {
+            contents: { kind: MarkupKind.Markdown, value: content },
+        };
+    }
+
+    async searchTagsForCompletion(query, range) {
+        const queryLower = (query || "").toLowerCase();
+
+        return (await this.listTags())
+            .filter(({ name }) => name.toLowerCase().includes(queryLower))
+            .map(({ name, count }) => ({
+                label: name,
+                kind: CompletionItemKind.Keyword,
+                detail: `${count}개 페이지`,
+                textEdit: { range, newText: name },
+            }));
+    }
+
+    // 제목, 헤딩, 태그를 대상으로 퍼지 검색한 워크스페이스 심볼
+    // 여러 위키의 결과를 점수로 합칠 수 있도록 { score, symbol } 쌍으로 반환
+    async searchWorkspaceSymbols(query) {
+        if (!this.wikiRoot) return [];
+
+        try {
+            await this.fileCache.initialize(this.wikiRoot);
+            this.fileCache.scanDirectory(this.wikiRoot);
+
+            const results = [];
+            const addResult = (name, kind, filePath, line, containerName) => {
+                const score = FuzzyMatcher.score(query, name);
+                if (score === null) return;
+
+                const position = { line, character: 0 };
+                results.push({
+                    score,
+                    symbol: {
+                        name,
+                        kind,
+                        containerName,
+                        location: {
+                            uri: PathUtils.toUri(filePath),
+                            range: { start: position, end: position },
+                        },
+                    },
+                });
+            };
+
+            for (const [filePath, entry] of this.fileCache.getEntries()) {
+                const wikiPath = FileUtils.removeExtension(
+                    path.relative(this.wikiRoot, filePath),
+                    this.fileCache.options.extension
+                );
+                const { title } = entry.data;
+
+                addResult(title, SymbolKind.File, filePath, 0, wikiPath);
+                for (const heading of entry.headings) {
+                    addResult(
+                        heading.text,
+                        SymbolKind.String,
+                        filePath,
+                        heading.line,
+                        title
+                    );
+                }
+                for (const { name, range } of entry.tags) {
+                    addResult(
+                        `#${name}`,
+                        SymbolKind.Key,
+                        filePath,
+                        range.start.line,
+                        title
+                    );
+                }
+            }
+
+            return results
+                .sort((a, b) => b.score - a.score)
+                .slice(0, CONFIG.MAX_WORKSPACE_SYMBOLS);
+        } catch (error) {
+            logger.log("워크스페이스 심볼 검색 실패:", error.message);
+            return [];
+        }
+    }
+
+    // range가 주어지면 링크의 대상 부분만 교체 (앵커, 설명은 유지)
+    // markdown이 true면 [텍스트](경로)에 넣을 확장자 포함 경로로 완성
+    async searchForCompletion(
+        query,
+        currentDocumentUri,
+        range = null,
+        markdown = false
+    ) {
+        if (!currentDocumentUri || !this.wikiRoot) {
+            logger.log("currentDocumentUri 또는 wikiRoot가 정의되지 않음");
+            return [];
+        }
+
+        try {
+            await this.fileCache.initialize(this.wikiRoot);
+            this.fileCache.scanDirectory(this.wikiRoot);
+
+            const currentDocPath = PathUtils.fromUri(currentDocumentUri);
+            const currentDir = path.dirname(currentDocPath);
+
+            if (!currentDir) {
+                logger.log("currentDir를 결정할 수 없음:", currentDocPath);
+                return [];
+            }
+
+            return this.fileCache
+                .searchFiles(query, this.wikiRoot, this.maxCompletionResults)
+                .map((result, rank) =>
+                    this._createCompletionItem(
+                        result,
+                        currentDir,
+                        range,
+                        rank,
+                        markdown
+                    )
+                );
+        } catch (error) {
+            logger.log("자동완성 검색 실패:", error.message);
+            return [];
+        }
+    }
+
+    // 서버가 매긴 순위를 sortText로 유지하고, 제목이나 별칭으로 찾은 항목이
+    // 클라이언트 필터링에서 빠지지 않도록 filterText에 함께 넣음
+    _createCompletionItem(
+        { path: relativePath, fullPath, fileName, alias },
+        currentDir,
+        range = null,
+        rank = 0,
+        markdown = false
+    ) {
+        if (
+            !currentDir ||
+            !this.wikiRoot ||
+            !relativePath ||
+            !fullPath ||
+            !fileName
+        ) {
+            return {
+                label: fileName || "알 수 없음",
+                kind: CompletionItemKind.File,
+                insertText: fileName || "",
+            };
+        }
+
+        try {
+            const { extension } = this.fileCache.options;
+            const targetPath = path.join(this.wikiRoot, relativePath + extension);
+            const relativeLink = PathUtils.getRelativePath(
+                currentDir,
+                targetPath,
+                extension
+            );
+            // 마크다운 링크 대상에는 공백을 쓸 수 없으므로 %20으로 인코딩
+            const insertPath = markdown
+                ? (relativeLink + extension).replace(/ /g, "%20")
+                : relativeLink;
+            const fileInfo = this.fileCache.getFileInfo(fullPath);
+            const displayDir = PathUtils.getDisplayDirectory(relativePath);
+
+            return {
+                label: fileName,
+                labelDetails: {
+                    ...(alias ? { detail: ` (${alias})` } : {}),
+                    description: displayDir,
+                },
+                kind: CompletionItemKind.File,
+                detail: displayDir,
+                documentation: {
+                    kind: MarkupKind.Markdown,
+                    value: fileInfo.toCompletionDocumentation(),
+                },
+                sortText: String(rank).padStart(4, "0"),
+                filterText: [insertPath, fileInfo.title, ...fileInfo.aliases]
+                    .filter(Boolean)
+                    .join(" "),
+                ...(range
+                    ? { textEdit: { range, newText: insertPath } }
+                    : { insertText: insertPath }),
+            };
+        } catch (error) {
+            logger.log("완성 항목 생성 실패:", error.message);
+            return {
+                label: fileName,
+                kind: CompletionItemKind.File,
+                insertText: fileName,
+            };
+        }
+    }
+}
+
+// 링크 진단 제공자
+class DiagnosticsProvider {
+    constructor(fileCache, wikiRoot, options = {}) {
+        this.fileCache = fileCache;
+        this.wikiRoot = wikiRoot;
+        this.brokenLinkSeverity = this._parseSeverity(
+            options.brokenLink,
+            DiagnosticSeverity.Error
+        );
+        this.ambiguousLinkSeverity = this._parseSeverity(
+            options.ambiguousLink,
+            DiagnosticSeverity.Warning
+        );
+        this.brokenAnchorSeverity = this._parseSeverity(
+            options.brokenAnchor,
+            DiagnosticSeverity.Warning
+        );
+        this.frontmatterSeverity = this._parseSeverity(
+            options.frontmatter,
+            DiagnosticSeverity.Error
+        );
+        this.aliasConflictSeverity = this._parseSeverity(
+            options.aliasConflict,
+            DiagnosticSeverity.Warning
+        );
+    }
+
+    _parseSeverity(value, defaultSeverity) {
+        if (typeof value !== "string") return defaultSeverity;
+
+        const key = value.toLowerCase();
+        return key in SEVERITY_LEVELS ? SEVERITY_LEVELS[key] : defaultSeverity;
+    }
+
+    async computeDiagnostics(text, documentUri) {
+        if (!documentUri || !this.wikiRoot) return [];
+
+        try {
+            await this.fileCache.initialize(this.wikiRoot);
+            this.fileCache.scanDirectory(this.wikiRoot);
+
+            const { syntax, extension } = this.fileCache.options;
+            const currentPath = PathUtils.fromUri(documentUri);
+            const context = {
+                currentPath,
+                currentDir: path.dirname(currentPath),
+                currentHeadings: HeadingParser.parse(text, syntax),
+            };
+            const diagnostics = [];
+
+            if (SyntaxUtils.get(syntax).hasFrontmatter) {
+                diagnostics.push(...this._checkFrontmatter(text));
+            }
+            diagnostics.push(...this._checkAliases(text, currentPath));
+            for (const {
+                link,
+                range,
+                destination,
+            } of WikiLinkParser.extractAll(text, syntax, extension)) {
+                await this.fileCache.waitForLinkTarget(link);
+                diagnostics.push(
+                    ...this._checkLink(link, range, context, destination)
+                );
+            }
+
+            return diagnostics.filter(Boolean);
+        } catch (error) {
+            logger.log("진단 계산 실패:", error.message);
+            return [];
+        }
+    }
+
+    // 마크다운 링크는 메시지에 원래 대상(destination)을 표시
+    _checkLink(
+        wikiLink,
+        range,
+        { currentDir, currentPath, currentHeadings },
+        destination = wikiLink
+    ) {
+        const link = WikiLinkParser.parse(wikiLink);
+        if (!link || link.isExternal) return [];
+
+        const resolved = this.fileCache.resolveLink(
+            wikiLink,
+            currentDir,
+            this.wikiRoot,
+            currentPath
+        );
+
+        if (!resolved) {
+            return [
+                this._createDiagnostic(
+                    range,
+                    this.brokenLinkSeverity,
+                    `파일을 찾을 수 없음: ${destination}`,
+                    DIAGNOSTIC_CODES.BROKEN_LINK
+                ),
+            ];
+        }
+
+        // 이미지나 첨부 파일에는 헤딩이 없으므로 읽지 않음
+        if (!FileUtils.isPageFile(resolved, this.fileCache.options.extension)) {
+            return [];
+        }
+
+        const headings =
+            resolved === currentPath
+                ? currentHeadings
+                : this.fileCache.getHeadings(resolved);
+
+        return [
+            this._checkAmbiguity(link, range, resolved, currentDir),
+            this._checkAnchor(link, range, headings),
+        ];
+    }
+
+    // frontmatter YAML 파싱 오류를 해당 줄에 표시
+    _checkFrontmatter(text) {
+        const { errors, block } = FrontmatterParser.parseWithErrors(text);
+        if (!block) return [];
+
+        return errors.map(({ message, line }) => {
+            const errorLine = Math.min(line, block.endLine);
+            return this._createDiagnostic(
+                {
+                    start: { line: errorLine, character: 0 },
+                    end: {
+                        line: errorLine,
+                        character: block.lines[errorLine].length,
+                    },
+                },
+                this.frontmatterSeverity,
+                `frontmatter 파싱 오류: ${message}`,
+                DIAGNOSTIC_CODES.FRONTMATTER_ERROR
+            );
+        });
+    }
+
+    // 경로로 바로 찾지 못하고 파일명으로 찾은 경우 중복 여부 확인
+    _checkAmbiguity(link, range, resolved, currentDir) {
+        if (!link.target || link.scheme) return null;
+
+        const directPath = PathUtils.resolveLinkPath(
+            link,
+            currentDir,
+            this.wikiRoot,
+            this.fileCache.options
+        );
+        if (resolved === directPath) return null;
+
+        const fileCandidates = this.fileCache.findCandidates(link.target);
+        const candidates =
+            fileCandidates.length > 0
+                ? fileCandidates
+                : this.fileCache.findByAlias(link.target);
+        if (candidates.length < 2) return null;
+
+        const candidateList = candidates
+            .map((candidate) =>
+                FileUtils.removeExtension(
+                    path.relative(this.wikiRoot, candidate),
+                    this.fileCache.options.extension
+                )
+            )
+            .join(", ");
+
+        return this._createDiagnostic(
+            range,
+            this.ambiguousLinkSeverity,
+            `모호한 링크: ${link.raw} (후보: ${candidateList})`,
+            DIAGNOSTIC_CODES.AMBIGUOUS_LINK
+        );
+    }
+
+    // 현재 페이지의 별칭이 다른 페이지의 파일명이나 별칭과 겹치는지 확인
+    _checkAliases(text, currentPath) {
+        const { syntax, extension } = this.fileCache.options;
+        const aliases = FileInfo.parseAliases(
+            MetadataParser.parse(text, syntax)?.aliases
+        );
+
+        return aliases.map((alias) => {
+            const others = [
+                ...this.fileCache.findCandidates(alias),
+                ...this.fileCache.findByAlias(alias),
+            ].filter((filePath) => filePath !== currentPath);
+            if (others.length === 0) return null;
+
+            const otherList = [...new Set(others)]
+                .map((filePath) =>
+                    FileUtils.removeExtension(
+                        path.relative(this.wikiRoot, filePath),
+                        extension
+                    )
+                )
+                .join(", ");
+
+            return this._createDiagnostic(
+                this._findMetadataRange(text, "aliases", alias),
+                this.aliasConflictSeverity,
+                `별칭이 다른 페이지와 겹침: ${alias} (${otherList})`,
+                DIAGNOSTIC_CODES.ALIAS_CONFLICT
+            );
+        });
+    }
+
+    // 메타데이터 키(frontmatter 키 또는 %키)의 값 중 value가 있는 위치
+    // (찾지 못하면 키가 있는 줄 전체, 키도 없으면 문서 첫 줄)
+    _findMetadataRange(text, key, value) {
+        const { syntax } = this.fileCache.options;
+        const lines = text.split("\n").map((line) => line.replace(/\r$/, ""));
+        const block = MetadataParser.getBlock(text, syntax);
+        let startLine = -1;
+        let endLine = -1;
+
+        if (block) {
+            const index = block.keys.findIndex((entry) => entry.key === key);
+            if (index !== -1) {
+                startLine = block.keys[index].line;
+                endLine = block.keys[index + 1]?.line ?? block.endLine;
+            }
+        } else {
+            startLine = lines.findIndex((line) => line.startsWith(`%${key} `));
+            endLine = startLine + 1;
+        }
+        if (startLine === -1) {
+            const start = { line: 0, character: 0 };
+            return { start, end: start };
+        }
+
+        for (let line = startLine; line < endLine; line++) {
+            // 키 이름 안에서 찾지 않도록 첫 줄은 키 뒤부터 검색
+            const from = line === startLine ? key.length + 1 : 0;
+            const character = lines[line].indexOf(value, from);
+            if (character !== -1) {
+                return {
+                    start: { line, character },
+                    end: { line, character: character + value.length },
+                };
+            }
+        }
+
+        return {
+            start: { line: startLine, character: 0 },
+            end: { line: startLine, character: lines[startLine].length },
+        };
+    }
+
+    // 위키 페이지 링크의 앵커가 대상 페이지의 헤딩과 일치하는지 확인
+    _checkAnchor(link, range, headings) {
+        const isWikiPage =
+            link.scheme === null || link.scheme === "diary" || link.isInterwiki;
+        if (!link.anchor || !isWikiPage) return null;
+        if (HeadingParser.findByAnchor(headings, link.anchor)) return null;
+
+        return this._createDiagnostic(
+            range,
+            this.brokenAnchorSeverity,
+            `헤딩을 찾을 수 없음: #${link.anchor}`,
+            DIAGNOSTIC_CODES.BROKEN_ANCHOR
+        );
+    }
+
+    _createDiagnostic(range, severity, message, code) {
+        if (severity === null) return null;
+
+        return {
+            range,
+            severity,
+            code,
+            message,
+            source: CONFIG.DIAGNOSTIC_SOURCE,
+        };
+    }
+}
+
+// 페이지 이름 변경 및 링크 재작성 제공자
+class RenameProvider {
+    constructor(fileCache, wikiRoot) {
+        this.fileCache = fileCache;
+        this.wikiRoot = wikiRoot;
+    }
+
+    // 새 이름(위키 루트 기준 경로)을 실제 파일 경로로 변환
+    toFilePath(newName) {
+        if (!newName || typeof newName !== "string") return null;
+
+        const { extension } = this.fileCache.options;
+        const wikiPath = FileUtils.removeExtension(newName.trim(), extension)
+            .replace(/\\/g, "/")
+            .replace(/^\/+/, "");
+        if (!wikiPath) return null;
+
+        return path.join(this.wikiRoot, wikiPath + extension);
+    }
+
+    toWikiPath(filePath) {
+        return PathUtils.toWikiPath(
+            filePath,
+            this.wikiRoot,
+            this.fileCache.options.extension
+        );
+    }
+
+    // 파일 이동 목록(이전 경로 -> 새 경로)에 맞춰 모든 링크의 텍스트 편집 계산
+    // 링크를 빠뜨리지 않도록 인덱싱이 끝날 때까지 기다림
+    async computeLinkEdits(moves) {
+        this.fileCache.scanDirectory(this.wikiRoot);
+        await this.fileCache.ready(this.wikiRoot);
+
+        const sources = new Set(moves.keys());
+        for (const oldPath of moves.keys()) {
+            for (const { source } of this.fileCache.getBacklinks(
+                oldPath,
+                this.wikiRoot
+            )) {
+                sources.add(source);
+            }
+        }
+
+        const edits = new Map();
+
+        for (const source of sources) {
+            const sourceDir = path.dirname(moves.get(source) || source);
+            const textEdits = [];
+
+            for (const {
+                link,
+                target,
+                range,
+                destination,
+                targetRange,
+            } of this.fileCache.getOutgoingLinks(source, this.wikiRoot)) {
+                if (!target) continue;
+                if (!moves.has(source) && !moves.has(target)) continue;
+
+                const parsed = WikiLinkParser.parse(link);
+                if (parsed.scheme !== null && parsed.scheme !== "diary") {
+                    continue;
+                }
+
+                if (destination !== undefined) {
+                    const oldTarget = destination.split("#")[0];
+                    const newTarget = this._formatMarkdownTarget(
+                        oldTarget,
+                        sourceDir,
+                        moves.get(target) || target
+                    );
+                    if (newTarget !== oldTarget) {
+                        textEdits.push({
+                            range: targetRange,
+                            newText: newTarget,
+                        });
+                    }
+                    continue;
+                }
+                if (this._isAliasLink(parsed, target)) continue;
+
+                const linkTarget = link.substring(0, parsed.pathLength);
+                const newTarget = this._formatLinkTarget(
+                    parsed,
+                    sourceDir,
+                    moves.get(target) || target
+                );
+                if (!newTarget || newTarget === linkTarget) continue;
+
+                const start = range.start.character + 2;
+                textEdits.push({
+                    range: {
+                        start: { line: range.start.line, character: start },
+                        end: {
+                            line: range.start.line,
+                            character: start + linkTarget.length,
+                        },
+                    },
+                    newText: newTarget,
+                });
+            }
+
+            if (textEdits.length > 0) edits.set(source, textEdits);
+        }
+
+        return edits;
+    }
+
+    // 별칭으로 이어진 링크는 페이지를 옮겨도 별칭이 그대로 남으므로 고치지 않음
+    _isAliasLink(link, targetPath) {
+        if (link.scheme !== null || !link.target) return false;
+
+        const { extension } = this.fileCache.options;
+        return (
+            FileUtils.getPageName(targetPath, extension).toLowerCase() !==
+                path.basename(link.target).toLowerCase() &&
+            this.fileCache.findByAlias(link.target).includes(targetPath)
+        );
+    }
+
+    // 기존 링크 스타일(상대 경로, 루트 기준 경로, 파일명, diary:)을 유지한 새 링크 대상
+    _formatLinkTarget(link, sourceDir, targetPath) {
+        const wikiPath = this.toWikiPath(targetPath);
+
+        if (link.scheme === "diary") {
+            const diaryDir = path.join(
+                this.wikiRoot,
+                this.fileCache.options.diaryRelPath
+            );
+            return path.dirname(targetPath) === diaryDir
+                ? `diary:${path.basename(wikiPath)}`
+                : wikiPath;
+        }
+
+        if (PathUtils.isRelativePath(link.target)) {
+            const relativePath = PathUtils.getRelativePath(
+                sourceDir,
+                targetPath,
+                this.fileCache.options.extension
+            );
+            return relativePath.startsWith("../")
+                ? relativePath
+                : `./${relativePath}`;
+        }
+
+        return link.target.includes("/") ? wikiPath : path.basename(wikiPath);
+    }
+
+    // 마크다운 링크 대상은 루트 기준 여부, ./ 접두어, 확장자, 퍼센트 인코딩을 유지
+    _formatMarkdownTarget(oldTarget, sourceDir, targetPath) {
+        const { extension } = this.fileCache.options;
+        let newTarget = oldTarget.startsWith("/")
+            ? "/" + this.toWikiPath(targetPath)
+            : PathUtils.getRelativePath(sourceDir, targetPath, extension);
+
+        if (oldTarget.startsWith("./") && !newTarget.startsWith("../")) {
+            newTarget = `./${newTarget}`;
+        }
+        if (oldTarget.toLowerCase().endsWith(extension.toLowerCase())) {
+            newTarget += extension;
+        }
+
+        const encoded =
+            /%[0-9a-f]{2}/i.test(oldTarget) ||
+            (/\s/.test(newTarget) && !/\s/.test(oldTarget));
+        return encoded ? encodeURI(newTarget) : newTarget;
+    }
+
+    // 디렉터리 이동은 그 아래 모든 페이지의 이동으로 펼침
+    expandMoves(oldPath, newPath) {
+        const moves = new Map();
+
+        if (FileUtils.isPageFile(oldPath, this.fileCache.options.extension)) {
+            moves.set(oldPath, newPath);
+            return moves;
+        }
+
+        const prefix = oldPath.endsWith(path.sep) ? oldPath : oldPath + path.sep;
+        for (const filePath of this.fileCache.cache.keys()) {
+            if (filePath.startsWith(prefix)) {
+                moves.set(
+                    filePath,
+                    path.join(newPath, path.relative(oldPath, filePath))
+                );
+            }
+        }
+
+        return moves;
+    }
+
+    static toTextDocumentEdits(edits) {
+        return [...edits.entries()].map(([filePath, textEdits]) => ({
+            textDocument: { uri: PathUtils.toUri(filePath), version: null },
+            edits: textEdits,
+        }));
+    }
+
+    // 페이지 제목 값의 범위 (title 키 또는 %title, 없으면 첫 헤딩, 그것도 없으면 null)
+    static findTitleRange(content, syntax) {
+        const lines = content
+            .split("\n")
+            .map((line) => line.replace(/\r$/, ""));
+        const toRange = (line, start, length) => ({
+            start: { line, character: start },
+            end: { line, character: start + length },
+        });
+
+        const block = MetadataParser.getBlock(content, syntax);
+        const titleKey = block?.keys.find(({ key }) => key === "title");
+        if (titleKey && titleKey.value) {
+            const { line, value } = titleKey;
+            const start = lines[line].length - value.length;
+            return toRange(line, start, value.length);
+        }
+
+        if (SyntaxUtils.isNative(syntax)) {
+            const line = lines.findIndex((text) => /^%title\s+\S/.test(text));
+            if (line !== -1) {
+                const value = lines[line].replace(/^%title\s+/, "").trimEnd();
+                return toRange(line, lines[line].indexOf(value), value.length);
+            }
+        }
+
+        const [heading] = HeadingParser.parse(content, syntax);
+        if (!heading) return null;
+
+        const start = lines[heading.line].indexOf(heading.text);
+        return toRange(heading.line, start, heading.text.length);
+    }
+
+    async rename(oldPath, newName) {
+        const newPath = this.toFilePath(newName);
+        if (!newPath) {
+            throw new Error(`잘못된 페이지 이름: ${newName}`);
+        }
+        if (!PathUtils.isInside(newPath, this.wikiRoot)) {
+            throw new ResponseError(
+                ErrorCodes.InvalidParams,
+                `위키 밖으로는 옮길 수 없음: ${newName}`
+            );
+        }
+        if (newPath === oldPath) return { documentChanges: [] };
+        if (FileUtils.exists(newPath)) {
+            throw new Error(`이미 존재하는 페이지: ${this.toWikiPath(newPath)}`);
+        }
+
+        const edits = await this.computeLinkEdits(
+            new Map([[oldPath, newPath]])
+        );
+
+        return {
+            documentChanges: [
+                ...RenameProvider.toTextDocumentEdits(edits),
+                {
+                    kind: "rename",
+                    oldUri: PathUtils.toUri(oldPath),
+                    newUri: PathUtils.toUri(newPath),
+                },
+            ],
+        };
+    }
+
+    // 클라이언트가 직접 파일을 옮길 때는 링크 편집만 반환
+    async willRenameFiles(files) {
+        const moves = new Map();
+
+        await this.fileCache.ready(this.wikiRoot);
+        for (const { oldUri, newUri } of files) {
+            const expanded = this.expandMoves(
+                PathUtils.fromUri(oldUri),
+                PathUtils.fromUri(newUri)
+            );
+            for (const [oldPath, newPath] of expanded) {
+                moves.set(oldPath, newPath);
+            }
+        }
+
+        if (moves.size === 0) return null;
+
+        const edits = await this.computeLinkEdits(moves);
+        return { documentChanges: RenameProvider.toTextDocumentEdits(edits) };
+    }
+}
+
+// 끊어진 링크로부터 새 페이지 생성 제공자
+class PageCreator {
+    constructor(fileCache, wikiRoot, templates = {}) {
+        this.fileCache = fileCache;
+        this.wikiRoot = wikiRoot;
+        this.defaultTemplate = templates.default || null;
+        this.directoryTemplates = templates.directories || {};
+    }
+
+    // 링크가 가리킬 새 파일 경로
+    getTargetPath(wikiLink, currentDir) {
+        const link = WikiLinkParser.parse(wikiLink);
+        if (!link || (link.scheme !== null && link.scheme !== "diary")) {
+            return null;
+        }
+
+        return PathUtils.resolveLinkPath(
+            link,
+            currentDir,
+            this.wikiRoot,
+            this.fileCache.options
+        );
+    }
+
+    // 가장 구체적인 디렉터리 템플릿, 없으면 기본 템플릿 사용
+    _findTemplatePath(targetPath) {
+        const relativeDir = path
+            .dirname(path.relative(this.wikiRoot, targetPath))
+            .replace(/\\/g, "/");
+        let templatePath = this.defaultTemplate;
+        let bestLength = -1;
+
+        for (const [directory, template] of Object.entries(
+            this.directoryTemplates
+        )) {
+            const normalized = directory.replace(/^\.?\/+|\/+$/g, "");
+            const matches =
+                normalized === "" ||
+                relativeDir === normalized ||
+                relativeDir.startsWith(normalized + "/");
+
+            if (matches && normalized.length > bestLength) {
+                templatePath = template;
+                bestLength = normalized.length;
+            }
+        }
+
+        return templatePath ? path.resolve(this.wikiRoot, templatePath) : null;
+    }
+
+    renderTemplate(targetPath, sourcePath) {
+        const templatePath = this._findTemplatePath(targetPath);
+        const { extension, syntax } = this.fileCache.options;
+        const template =
+            (templatePath && FileUtils.readFile(templatePath)) ||
+            SyntaxUtils.get(syntax).pageTemplate;
+
+        const values = {
+            title: FileUtils.getPageName(targetPath, extension),
+            date: DateUtils.formatDate(),
+            source: sourcePath
+                ? FileUtils.removeExtension(
+                      path.relative(this.wikiRoot, sourcePath),
+                      extension
+                  ).replace(/\\/g, "/")
+                : "",
+        };
+
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+            key in values ? values[key] : match
+        );
+    }
+
+    async createPage(targetPath, sourcePath) {
+        if (!targetPath) throw new Error("생성할 페이지 경로가 없음");
+        if (FileUtils.exists(targetPath)) {
+            throw new Error(`이미 존재하는 페이지: ${targetPath}`);
+        }
+
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.writeFileSync(
+            targetPath,
+            this.renderTemplate(targetPath, sourcePath),
+            CONFIG.ENCODING
+        );
+        logger.log(`페이지 생성: ${targetPath}`);
+
+        await this.fileCache.applyFileChange(targetPath);
+    }
+}
+
+// 저장 직전 메타데이터 갱신: frontmatter의 updated를 현재 시각으로 바꾸고,
+// 메타데이터가 없는 새 페이지에는 제목과 날짜를 넣음
+class MetadataUpdater {
+    constructor(fileCache, wikiRoot, options = {}) {
+        this.fileCache = fileCache;
+        this.wikiRoot = wikiRoot;
+        this.enabled = options !== false;
+        this.format = options?.format || CONFIG.UPDATED_FORMAT;
+        this.excludedDirectories = MetadataUpdater.parseExclude(
+            options?.exclude
+        );
+    }
+
+    // 설정의 제외 디렉터리 목록 (문자열이 아닌 항목은 로그를 남기고 무시)
+    static parseExclude(exclude) {
+        if (!Array.isArray(exclude)) return [];
+
+        return exclude
+            .filter((directory) => {
+                if (typeof directory === "string") return true;
+
+                logger.log(
+                    "autoUpdate.exclude의 잘못된 항목 무시:",
+                    JSON.stringify(directory)
+                );
+                return false;
+            })
+            .map((directory) => directory.replace(/^\.?\/+|\/+$/g, ""));
+    }
+
+    // 제외한 디렉터리(위키 루트 기준) 아래의 페이지인지
+    _isExcluded(filePath) {
+        const relativeDir = path
+            .dirname(path.relative(this.wikiRoot, filePath))
+            .replace(/\\/g, "/");
+
+        return this.excludedDirectories.some(
+            (directory) =>
+                directory === "" ||
+                relativeDir === directory ||
+                relativeDir.startsWith(directory + "/")
+        );
+    }
+
+    // 저장할 내용이 디스크와 다를 때만 편집 목록 반환
+    computeSaveEdits(text, filePath, now = new Date()) {
+        const { extension, syntax } = this.fileCache.options;
+        if (!this.enabled || !FileUtils.isPageFile(filePath, extension)) {
+            return [];
+        }
+        if (this._isExcluded(filePath)) return [];
+
+        const savedContent = FileUtils.exists(filePath)
+            ? FileUtils.readFile(filePath)
+            : null;
+        if (text === savedContent) return [];
+
+        if (SyntaxUtils.isNative(syntax)) {
+            return this._computeNativeEdits(text, filePath, savedContent, now);
+        }
+
+        const timestamp = DateUtils.format(now, this.format);
+        const eol = MetadataUpdater.getLineEnding(text);
+
+        const block = MetadataParser.getBlock(text, syntax);
+        if (!block) {
+            if (savedContent !== null) return [];
+
+            const start = { line: 0, character: 0 };
+            const newText = [
+                "---",
+                `title: ${FileUtils.getPageName(filePath, extension)}`,
+                `date: ${DateUtils.formatDate(now)}`,
+                `updated: ${timestamp}`,
+                "---",
+                "",
+            ].join(eol);
+            return [{ range: { start, end: start }, newText }];
+        }
+
+        const updated = block.keys.find(({ key }) => key === "updated");
+        if (!updated) {
+            const position = { line: block.endLine, character: 0 };
+            return [
+                {
+                    range: { start: position, end: position },
+                    newText: `updated: ${timestamp}${eol}`,
+                },
+            ];
+        }
+
+        return [
+            {
+                range: {
+                    start: { line: updated.line, character: 0 },
+                    end: {
+                        line: updated.line,
+                        character: block.lines[updated.line].length,
+                    },
+                },
+                newText: `updated: ${timestamp}`,
+            },
+        ];
+    }
+
+    // 기본 문법: %updated가 있으면 갱신, 새 페이지에는 %title과 %date 추가
+    _computeNativeEdits(text, filePath, savedContent, now) {
+        const lines = text.split("\n").map((line) => line.replace(/\r$/, ""));
+        const updatedLine = lines.findIndex((line) => /^%updated\b/.test(line));
+
+        if (updatedLine !== -1) {
+            return [
+                {
+                    range: {
+                        start: { line: updatedLine, character: 0 },
+                        end: {
+                            line: updatedLine,
+                            character: lines[updatedLine].length,
+                        },
+                    },
+                    newText: `%updated ${DateUtils.format(now, this.format)}`,
+                },
+            ];
+        }
+        if (savedContent !== null || PlaceholderParser.parse(text)) return [];
+
+        const start = { line: 0, character: 0 };
+        const title = FileUtils.getPageName(
+            filePath,
+            this.fileCache.options.extension
+        );
+        const date = DateUtils.formatDate(now);
+        const eol = MetadataUpdater.getLineEnding(text);
+        return [
+            {
+                range: { start, end: start },
+                newText: `%title ${title}${eol}%date ${date}${eol}`,
+            },
+        ];
+    }
+
+    // 넣는 줄이 문서의 줄바꿈(CRLF 또는 LF)과 섞이지 않도록 문서에 맞춤
+    static getLineEnding(text) {
+        return /\r\n/.test(text) ? "\r\n" : "\n";
+    }
+}
+
+// 일기 제공자: diary_rel_path 바로 아래의 YYYY-MM-DD 페이지
+class DiaryProvider {
+    constructor(fileCache, wikiRoot, pageCreator, options = {}) {
+        this.fileCache = fileCache;
+        this.wikiRoot = wikiRoot;
+        this.pageCreator = pageCreator;
+        this.indexName = options.index || CONFIG.DIARY_INDEX;
+        this.header = options.header || CONFIG.DIARY_HEADER;
+    }
+
+    getDiaryDir() {
+        return path.join(this.wikiRoot, this.fileCache.options.diaryRelPath);
+    }
+
+    isDiaryFile(filePath) {
+        if (!filePath || path.dirname(filePath) !== this.getDiaryDir()) {
+            return false;
+        }
+
+        const { extension } = this.fileCache.options;
+        return (
+            FileUtils.isPageFile(filePath, extension) &&
+            DateUtils.parseDate(FileUtils.getPageName(filePath, extension)) !==
+                null
+        );
+    }
+
+    getEntryPath(date) {
+        return path.join(
+            this.getDiaryDir(),
+            DateUtils.formatDate(date) + this.fileCache.options.extension
+        );
+    }
+
+    getIndexPath() {
+        return path.join(
+            this.getDiaryDir(),
+            this.indexName + this.fileCache.options.extension
+        );
+    }
+
+    // 날짜 오름차순으로 정렬한 일기 페이지 (인덱싱 중에는 지금까지 찾은 페이지)
+    listEntries() {
+        const { extension } = this.fileCache.options;
+
+        return this.fileCache
+            .getPagePaths()
+            .filter((filePath) => this.isDiaryFile(filePath))
+            .map((filePath) => ({
+                date: FileUtils.getPageName(filePath, extension),
+                filePath,
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // 주어진 날짜(YYYY-MM-DD 또는 today 등, 기본은 오늘)의 일기 페이지, 없으면 생성
+    async makeNote(dateText) {
+        const date = DateUtils.resolve(dateText);
+        if (!date) throw new Error(`잘못된 날짜: ${dateText}`);
+
+        const entryPath = this.getEntryPath(date);
+        if (!FileUtils.exists(entryPath)) {
+            await this.pageCreator.createPage(entryPath, null);
+        }
+
+        return entryPath;
+    }
+
+    // 현재 일기(일기가 아니면 오늘) 다음 또는 이전 날짜의 일기 페이지 (없으면 null)
+    async findAdjacentEntry(currentPath, direction) {
+        await this.fileCache.ready(this.wikiRoot);
+
+        const currentDate = this.isDiaryFile(currentPath)
+            ? FileUtils.getPageName(
+                  currentPath,
+                  this.fileCache.options.extension
+              )
+            : DateUtils.formatDate();
+        const entries = this.listEntries();
+
+        const entry =
+            direction > 0
+                ? entries.find(({ date }) => date > currentDate)
+                : entries.reverse().find(({ date }) => date < currentDate);
+        return entry ? entry.filePath : null;
+    }
+
+    // 일기 인덱스 페이지를 연도, 월별 링크 목록으로 다시 쓰는 WorkspaceEdit
+    // 인덱스 페이지의 frontmatter나 %플레이스홀더는 그대로 둠
+    async buildIndexEdit() {
+        await this.fileCache.ready(this.wikiRoot);
+
+        const indexPath = this.getIndexPath();
+        const uri = PathUtils.toUri(indexPath);
+        const content = this.fileCache.getContent(indexPath);
+        const body = this._renderIndex(
+            this.listEntries().reverse(),
+            MetadataUpdater.getLineEnding(content || "")
+        );
+
+        if (content === null) {
+            const start = { line: 0, character: 0 };
+            return {
+                uri,
+                edit: {
+                    documentChanges: [
+                        {
+                            kind: "create",
+                            uri,
+                            options: { ignoreIfExists: true },
+                        },
+                        this._createTextEdit(uri, start, start, body),
+                    ],
+                },
+            };
+        }
+
+        const lines = content.split("\n");
+        const lastLine = lines.length - 1;
+        const start = { line: this._getBodyStartLine(content), character: 0 };
+        const end = { line: lastLine, character: lines[lastLine].length };
+
+        return {
+            uri,
+            edit: {
+                documentChanges: [this._createTextEdit(uri, start, end, body)],
+            },
+        };
+    }
+
+    _createTextEdit(uri, start, end, newText) {
+        return {
+            textDocument: { uri, version: null },
+            edits: [{ range: { start, end }, newText }],
+        };
+    }
+
+    // 메타데이터 블록 다음 줄 (메타데이터가 없으면 0)
+    _getBodyStartLine(content) {
+        const { syntax } = this.fileCache.options;
+        const block = MetadataParser.getBlock(content, syntax);
+        if (block) return block.endLine + 1;
+        if (!SyntaxUtils.isNative(syntax)) return 0;
+
+        const lines = content.split("\n");
+        const index = lines.findIndex((line) => !/^%\w+/.test(line));
+        return index === -1 ? lines.length - 1 : index;
+    }
+
+    // 최신 일기부터 연도, 월 헤딩 아래에 링크 목록 생성 (eol은 인덱스 페이지의 줄바꿈)
+    _renderIndex(entries, eol = "\n") {
+        const { syntax, extension } = this.fileCache.options;
+        const isNative = SyntaxUtils.isNative(syntax);
+        const heading = (level, text) =>
+            isNative
+                ? `${"=".repeat(level)} ${text} ${"=".repeat(level)}`
+                : `${"#".repeat(level)} ${text}`;
+        const bullet = isNative ? "*" : "-";
+
+        const lines = [heading(1, this.header), ""];
+        let currentYear = null;
+        let currentMonth = null;
+
+        for (const { date, filePath } of entries) {
+            const [year, month] = date.split("-");
+            if (year !== currentYear) {
+                if (lines[lines.length - 1] !== "") lines.push("");
+                lines.push(heading(2, year), "");
+                currentYear = year;
+                currentMonth = null;
+            }
+            if (month !== currentMonth) {
+                if (lines[lines.length - 1] !== "") lines.push("");
+                const monthName = new Date(year, month - 1).toLocaleString(
+                    "en",
+                    { month: "long" }
+                );
+                lines.push(heading(3, monthName), "");
+                currentMonth = month;
+            }
+
+            const { title } = this.fileCache.getFileInfo(filePath);
+            const description =
+                title && title !== FileUtils.getPageName(filePath, extension)
+                    ? `|${title}`
+                    : "";
+            lines.push(`${bullet} [[diary:${date}${description}]]`);
+        }
+
+        return lines.join(eol) + eol;
+    }
+
+    // [[ 뒤에서 today, last monday 같은 상대 날짜 (prefix는 날짜 앞에 붙일 스킴)
+    getRelativeDateItems(query, range, prefix = "", startRank = 0) {
+        const queryLower = (query || "").trim().toLowerCase();
+        if (!queryLower && prefix) return [];
+
+        return DateUtils.getRelativeDates()
+            .filter(({ label }) => label.startsWith(queryLower))
+            .map(({ label, date }, index) => {
+                const dateText = DateUtils.formatDate(date);
+                return {
+                    label,
+                    labelDetails: { description: dateText },
+                    kind: CompletionItemKind.Event,
+                    detail: dateText,
+                    sortText: String(startRank + index).padStart(4, "0"),
+                    filterText: label,
+                    textEdit: { range, newText: prefix + dateText },
+                };
+            });
+    }
+
+    // [[diary: 뒤에서 상대 날짜와 최신순 일기 페이지
+    async searchForCompletion(query, range, limit) {
+        await this.fileCache.initialize(this.wikiRoot);
+        this.fileCache.scanDirectory(this.wikiRoot);
+
+        const items = this.getRelativeDateItems(query, range);
+        const queryLower = (query || "").trim().toLowerCase();
+        const entries = this.listEntries()
+            .reverse()
+            .filter(({ date }) => date.includes(queryLower))
+            .slice(0, limit);
+
+        for (const { date, filePath } of entries) {
+            const fileInfo = this.fileCache.getFileInfo(filePath);
+            items.push({
+                label: date,
+                kind: CompletionItemKind.File,
+                detail: fileInfo.title,
+                documentation: {
+                    kind: MarkupKind.Markdown,
+                    value: fileInfo.toCompletionDocumentation(),
+                },
+                sortText: String(items.length).padStart(4, "0"),
+                textEdit: { range, newText: date },
+            });
+        }
+
+        return items;
+    }
+}
+
+// 페이지를 노드, 링크를 간선으로 하는 링크 그래프 (JSON 또는 Graphviz DOT)
+class LinkGraphBuilder {
+    constructor(fileCache, wikiRoot) {
+        this.fileCache = fileCache;
+        this.wikiRoot = wikiRoot;
+    }
+
+    // page가 주어지면 링크 방향과 상관없이 depth 단계 안에 있는 페이지만 포함
+    // 빠진 페이지가 없도록 인덱싱이 끝날 때까지 기다림
+    async build({
+        page = null,
+        depth = CONFIG.GRAPH_DEPTH,
+        format = "json",
+    } = {}) {
+        this.fileCache.scanDirectory(this.wikiRoot);
+        await this.fileCache.ready(this.wikiRoot);
+
+        let { nodes, edges } = this._collect();
+
+        if (page) {
+            const center = this._toPagePath(page);
+            if (!nodes.has(center)) {
+                throw new Error(`페이지를 찾을 수 없음: ${page}`);
+            }
+
+            const included = this._findNeighborhood(center, edges, depth);
+            nodes = new Map(
+                [...nodes].filter(([filePath]) => included.has(filePath))
+            );
+            edges = edges.filter(
+                ({ source, target, resolved }) =>
+                    included.has(source) && (!resolved || included.has(target))
+            );
+        }
+
+        const graph = {
+            nodes: [...nodes.values()].sort((a, b) =>
+                a.path.localeCompare(b.path)
+            ),
+            edges: edges.map(({ source, target, resolved }) => ({
+                source: nodes.get(source).path,
+                target: resolved ? nodes.get(target).path : target,
+                resolved,
+            })),
+        };
+
+        return format === "dot" ? { dot: this.toDot(graph) } : graph;
+    }
+
+    // 모든 페이지 노드와 중복을 뺀 간선 (끊어진 링크의 target은 링크 대상 텍스트)
+    _collect() {
+        const nodes = new Map();
+        const edges = [];
+        const seen = new Set();
+
+        const { extension } = this.fileCache.options;
+        for (const [filePath, entry] of this.fileCache.getEntries()) {
+            if (!FileUtils.isPageFile(filePath, extension)) continue;
+
+            nodes.set(filePath, {
+                path: PathUtils.toWikiPath(filePath, this.wikiRoot, extension),
+                uri: PathUtils.toUri(filePath),
+                title: entry.data.title,
+                tags: [...new Set(entry.tags.map(({ name }) => name))],
+            });
+        }
+
+        for (const filePath of nodes.keys()) {
+            for (const { link, target } of this.fileCache.getOutgoingLinks(
+                filePath,
+                this.wikiRoot
+            )) {
+                const parsed = WikiLinkParser.parse(link);
+                if (!parsed || parsed.isExternal || !parsed.target) continue;
+
+                // 첨부 파일이나 다른 위키의 페이지로 가는 링크는 제외
+                if (target && !nodes.has(target)) continue;
+
+                const resolved = !!target;
+                const edgeTarget =
+                    target || link.substring(0, parsed.pathLength);
+                const key = `${filePath}\0${edgeTarget}`;
+                if (seen.has(key)) continue;
+
+                seen.add(key);
+                edges.push({ source: filePath, target: edgeTarget, resolved });
+            }
+        }
+
+        return { nodes, edges };
+    }
+
+    // 들어오고 나가는 링크를 따라 depth 단계까지 닿는 페이지
+    _findNeighborhood(center, edges, depth) {
+        const neighbors = new Map();
+        for (const { source, target, resolved } of edges) {
+            if (!resolved) continue;
+
+            if (!neighbors.has(source)) neighbors.set(source, []);
+            if (!neighbors.has(target)) neighbors.set(target, []);
+            neighbors.get(source).push(target);
+            neighbors.get(target).push(source);
+        }
+
+        const included = new Set([center]);
+        let frontier = [center];
+        for (let step = 0; step < depth && frontier.length > 0; step++) {
+            const next = [];
+            for (const filePath of frontier) {
+                for (const neighbor of neighbors.get(filePath) || []) {
+                    if (included.has(neighbor)) continue;
+
+                    included.add(neighbor);
+                    next.push(neighbor);
+                }
+            }
+            frontier = next;
+        }
+
+        return included;
+    }
+
+    // 페이지는 제목을 라벨로, 끊어진 링크는 점선 빨간 간선으로 표시
+    toDot({ nodes, edges }) {
+        const quote = (text) =>
+            `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+        const lines = ["digraph wiki {", "    node [shape=box];"];
+
+        for (const node of nodes) {
+            lines.push(`    ${quote(node.path)} [label=${quote(node.title)}];`);
+        }
+        for (const { source, target, resolved } of edges) {
+            const style = resolved ? "" : " [style=dashed, color=red]";
+            lines.push(`    ${quote(source)} -> ${quote(target)}${style};`);
+        }
+        lines.push("}");
+
+        return lines.join("\n") + "\n";
+    }
+
+    // 위키 루트 기준 경로("sub/page") 또는 file URI를 페이지 파일 경로로 변환
+    _toPagePath(page) {
+        if (/^file:/i.test(page)) return PathUtils.fromUri(page);
+
+        const { extension } = this.fileCache.options;
+        return path.join(
+            this.wikiRoot,
+            FileUtils.removeExtension(page.replace(/^\/+/, ""), extension) +
+                extension
+        );
+    }
+}
+
+// 위키 점검 보고서: 고아 페이지, 막다른 페이지, 끊어진 링크, 중복 파일명, 필수 키 누락
+class WikiReporter {
+    constructor(fileCache, wikiRoot, options = {}) {
+        this.fileCache = fileCache;
+        this.wikiRoot = wikiRoot;
+        this.requiredKeys = Array.isArray(options.requiredKeys)
+            ? options.requiredKeys
+            : [];
+    }
+
+    // 빠진 페이지가 없도록 인덱싱이 끝날 때까지 기다림
+    async build({ requiredKeys = this.requiredKeys } = {}) {
+        this.fileCache.scanDirectory(this.wikiRoot);
+        await this.fileCache.ready(this.wikiRoot);
+
+        const { extension } = this.fileCache.options;
+        const indexPath = path.join(this.wikiRoot, `index${extension}`);
+        const entries = this.fileCache
+            .getEntries()
+            .filter(([filePath]) => FileUtils.isPageFile(filePath, extension));
+        const report = {
+            pages: entries.length,
+            orphans: [],
+            deadEnds: [],
+            brokenLinks: [],
+            duplicateBasenames: [],
+            missingKeys: [],
+        };
+
+        for (const [filePath, entry] of entries) {
+            const page = this._toPage(filePath, entry.data);
+            const links = this.fileCache.getOutgoingLinks(
+                filePath,
+                this.wikiRoot
+            );
+
+            // 위키의 시작 페이지는 들어오는 링크가 없어도 고아로 보지 않음
+            const hasBacklinks = this.fileCache
+                .getBacklinks(filePath, this.wikiRoot)
+                .some(({ source }) => source !== filePath);
+            if (!hasBacklinks && filePath !== indexPath) {
+                report.orphans.push(page);
+            }
+
+            const hasPageLinks = links.some(
+                ({ target }) =>
+                    target &&
+                    target !== filePath &&
+                    this.fileCache.cache.has(target)
+            );
+            if (!hasPageLinks) report.deadEnds.push(page);
+
+            report.brokenLinks.push(...this._findBrokenLinks(page, links));
+
+            const missing = requiredKeys.filter(
+                (key) => !entry.data.keys.includes(key)
+            );
+            if (missing.length > 0) {
+                report.missingKeys.push({ ...page, missing });
+            }
+        }
+
+        report.duplicateBasenames = this.fileCache
+            .getDuplicateBasenames()
+            .map(({ name, filePaths }) => ({
+                name,
+                pages: filePaths.map((filePath) =>
+                    PathUtils.toWikiPath(filePath, this.wikiRoot, extension)
+                ),
+            }));
+
+        for (const list of Object.values(report)) {
+            if (Array.isArray(list)) list.sort(WikiReporter._compare);
+        }
+        return report;
+    }
+
+    // 진단과 같은 기준: 외부 링크와 앵커만 있는 링크는 제외
+    _findBrokenLinks(page, links) {
+        const brokenLinks = [];
+
+        for (const { link, range, destination, target } of links) {
+            if (target) continue;
+
+            const parsed = WikiLinkParser.parse(link);
+            if (!parsed || parsed.isExternal || !parsed.target) continue;
+
+            brokenLinks.push({
+                source: page.path,
+                link: destination ?? link,
+                location: { uri: page.uri, range },
+            });
+        }
+
+        return brokenLinks;
+    }
+
+    _toPage(filePath, fileInfo) {
+        return {
+            path: PathUtils.toWikiPath(
+                filePath,
+                this.wikiRoot,
+                this.fileCache.options.extension
+            ),
+            uri: PathUtils.toUri(filePath),
+            title: fileInfo.title,
+        };
+    }
+
+    static _compare(a, b) {
+        return (a.path || a.source || a.name).localeCompare(
+            b.path || b.source || b.name
+        );
+    }
+}
+
+// 위키 하나의 설정과 인덱스, 기능 제공자 묶음 (g:vimwiki_list의 항목 하나)
+class Wiki {
+    constructor(definition, index, options = {}, registry = null) {
+        this.index = index;
+        this.name = definition.name || null;
+        this.root = path.resolve(PathUtils.expandHome(definition.path));
+        this.diaryRelPath = (
+            definition.diary_rel_path ?? CONFIG.DIARY_REL_PATH
+        ).replace(/^\.\/|\/+$/g, "");
+
+        // VimWiki처럼 ext나 syntax 중 하나만 주어지면 나머지를 맞춰 정함
+        const extension = definition.ext
+            ? Wiki.normalizeExtension(definition.ext)
+            : null;
+        this.syntax =
+            definition.syntax ||
+            (extension === SYNTAXES.default.extension ? "default" : "markdown");
+        if (!SYNTAXES[this.syntax]) {
+            logger.log(`지원하지 않는 문법, markdown으로 처리: ${this.syntax}`);
+            this.syntax = "markdown";
+        }
+        this.extension = extension || SYNTAXES[this.syntax].extension;
+
+        const cacheDir = IndexStore.resolveCacheDir(options.cacheDir);
+        this.fileCache = new FileCache({
+            diaryRelPath: this.diaryRelPath,
+            extension: this.extension,
+            syntax: this.syntax,
+            registry,
+            store: cacheDir
+                ? new IndexStore(cacheDir, {
+                      root: this.root,
+                      extension: this.extension,
+                      syntax: this.syntax,
+                  })
+                : null,
+        });
+        this.resolver = new WikiFileResolver(
+            this.fileCache,
+            this.root,
+            definition.completion || options.completion,
+            definition.hover || options.hover
+        );
+        this.diagnostics = new DiagnosticsProvider(
+            this.fileCache,
+            this.root,
+            definition.diagnostics || options.diagnostics
+        );
+        this.renamer = new RenameProvider(this.fileCache, this.root);
+        this.pageCreator = new PageCreator(
+            this.fileCache,
+            this.root,
+            definition.templates || options.templates
+        );
+        this.metadataUpdater = new MetadataUpdater(
+            this.fileCache,
+            this.root,
+            definition.autoUpdate ?? options.autoUpdate
+        );
+        this.diary = new DiaryProvider(
+            this.fileCache,
+            this.root,
+            this.pageCreator,
+            { index: definition.diary_index, header: definition.diary_header }
+        );
+        this.graph = new LinkGraphBuilder(this.fileCache, this.root);
+        this.reporter = new WikiReporter(
+            this.fileCache,
+            this.root,
+            definition.report || options.report
+        );
+    }
+
+    // initializationOptions의 wikis 배열(g:vimwiki_list 형식) 또는 wikiRoot
+    static parseDefinitions(options = {}) {
+        const definitions = Array.isArray(options.wikis)
+            ? options.wikis
+                  .map((wiki) =>
+                      typeof wiki === "string" ? { path: wiki } : wiki
+                  )
+                  .filter((wiki) => wiki && typeof wiki.path === "string")
+            : [];
+
+        return definitions.length > 0
+            ? definitions
+            : [{ path: options.wikiRoot || "./wiki" }];
+    }
+
+    // "md"처럼 점이 없는 확장자도 허용
+    static normalizeExtension(extension) {
+        return extension.startsWith(".") ? extension : `.${extension}`;
+    }
+
+    contains(filePath) {
+        return PathUtils.isInside(filePath, this.root);
+    }
+
+    // [[wiki1:page]]의 wiki1 또는 [[wn.이름:page]]의 wn.이름과 일치하는지
+    matchesScheme(scheme) {
+        if (!scheme) return false;
+        if (scheme === `wiki${this.index}`) return true;
+
+        return (
+            !!this.name &&
+            scheme === `wn.${this.name.toLowerCase()}`
+        );
+    }
+}
+
+// 설정된 모든 위키와 문서가 속한 위키 조회
+class WikiRegistry {
+    constructor() {
+        this.wikis = [];
+    }
+
+    load(options = {}) {
+        this.wikis = Wiki.parseDefinitions(options).map(
+            (definition, index) => new Wiki(definition, index, options, this)
+        );
+        return this.wikis;
+    }
+
+    get defaultWiki() {
+        return this.wikis[0] || null;
+    }
+
+    // 경로를 포함하는 가장 안쪽 위키 (없으면 null)
+    findByPath(filePath) {
+        if (!filePath) return null;
+
+        let bestMatch = null;
+        for (const wiki of this.wikis) {
+            if (
+                wiki.contains(filePath) &&
+                (!bestMatch || wiki.root.length > bestMatch.root.length)
+            ) {
+                bestMatch = wiki;
+            }
+        }
+
+        return bestMatch;
+    }
+
+    // 문서가 속한 위키, 어느 위키에도 속하지 않으면 첫 번째 위키
+    findByUri(uri) {
+        return this.findByPath(PathUtils.fromUri(uri)) || this.defaultWiki;
+    }
+
+    findByScheme(scheme) {
+        return this.wikis.find((wiki) => wiki.matchesScheme(scheme)) || null;
+    }
+
+    // 커스텀 요청 파라미터의 uri 또는 wiki(번호나 이름)로 위키 선택
+    findByParams(params = {}) {
+        if (params.uri) return this.findByUri(params.uri);
+
+        if (typeof params.wiki === "number") {
+            return this.wikis[params.wiki] || null;
+        }
+        if (typeof params.wiki === "string") {
+            return this.wikis.find((wiki) => wiki.name === params.wiki) || null;
+        }
+
+        return this.defaultWiki;
+    }
+}
+
+// 메인 LSP 서버
+class WikiLSP {
+    constructor() {
+        this.connection = createConnection(process.stdin, process.stdout);
+        this.documents = new TextDocuments(TextDocument);
+        this.registry = new WikiRegistry();
+        this.clientWatchesFiles = false;
+        this.publishTimer = null;
+
+        this._setupHandlers();
+    }
+
+    _setupHandlers() {
+        this.connection.onInitialize(this._handleInitialize.bind(this));
+        this.connection.onInitialized(this._handleInitialized.bind(this));
+        this.connection.onDidChangeWatchedFiles(
+            this._handleDidChangeWatchedFiles.bind(this)
+        );
+        this.connection.onShutdown(() => {
+            for (const wiki of this.registry.wikis) wiki.fileCache.dispose();
+        });
+        this.connection.onHover(this._cancellable(this._handleHover));
+        this.connection.onCompletion(this._cancellable(this._handleCompletion));
+        this.connection.onDefinition(this._handleDefinition.bind(this));
+        this.connection.onReferences(this._handleReferences.bind(this));
+        this.connection.onDocumentSymbol(
+            this._handleDocumentSymbol.bind(this)
+        );
+        this.connection.onWorkspaceSymbol(
+            this._handleWorkspaceSymbol.bind(this)
+        );
+        this.connection.onPrepareRename(this._handlePrepareRename.bind(this));
+        this.connection.onRenameRequest(this._handleRename.bind(this));
+        this.connection.onCodeAction(this._handleCodeAction.bind(this));
+        this.connection.onDocumentLinks(this._handleDocumentLinks.bind(this));
+        this.connection.onExecuteCommand(this._handleExecuteCommand.bind(this));
+        this.connection.workspace.onWillRenameFiles(
+            this._handleWillRenameFiles.bind(this)
+        );
+        this.connection.onRequest("wiki/cacheStats", (params) => {
+            const wiki = this.registry.findByParams(params);
+            return wiki ? wiki.fileCache.getStats() : null;
+        });
+        this.connection.onRequest("wiki/tags", (params) => {
+            const wiki = this.registry.findByParams(params);
+            return wiki ? wiki.resolver.listTags() : [];
+        });
+        this.connection.onRequest("wiki/pagesByTag", (params = {}) => {
+            const wiki = this.registry.findByParams(params);
+            return wiki ? wiki.resolver.findPagesByTag(params.tag) : [];
+        });
+        this.connection.onRequest("wiki/graph", this._handleGraph.bind(this));
+        this.connection.onRequest("wiki/report", this._handleReport.bind(this));
+
+        this.documents.onDidChangeContent(({ document }) => {
+            this._syncBuffer(document.uri, document.getText());
+            this._publishDiagnostics(document);
+        });
+        this.documents.onWillSaveWaitUntil(({ document }) =>
+            this._handleWillSaveWaitUntil(document)
+        );
+        this.documents.onDidClose(({ document }) => {
+            this._syncBuffer(document.uri, null);
+            this.connection.sendDiagnostics({
+                uri: document.uri,
+                diagnostics: [],
+            });
+        });
+
+        this.documents.listen(this.connection);
+    }
+
+    _getWiki(uri) {
+        return this.registry.findByUri(uri);
+    }
+
+    // 요청이 취소되면 처리하지 않거나 결과를 버리고 RequestCancelled로 응답
+    _cancellable(handler) {
+        const cancelled = () =>
+            new ResponseError(LSPErrorCodes.RequestCancelled, "요청이 취소됨");
+
+        return async (params, token) => {
+            if (token?.isCancellationRequested) return cancelled();
+
+            const result = await handler.call(this, params, token);
+            return token?.isCancellationRequested ? cancelled() : result;
+        };
+    }
+
+    // 인덱싱 중에는 결과가 늘어날 수 있으므로 클라이언트가 다시 요청하게 함
+    _toCompletionResult(wiki, items) {
+        return wiki.fileCache.indexing ? { isIncomplete: true, items } : items;
+    }
+
+    // 열린 문서의 내용을 그 문서가 속한 위키의 캐시에 반영 (text가 null이면 닫힘)
+    _syncBuffer(uri, text) {
+        try {
+            const filePath = PathUtils.fromUri(uri);
+            const wiki = this.registry.findByPath(filePath);
+            if (!wiki) return;
+
+            if (text === null) {
+                wiki.fileCache.releaseBuffer(filePath);
+            } else {
+                wiki.fileCache.setBuffer(filePath, text);
+            }
+        } catch (error) {
+            logger.log(`열린 문서 동기화 실패: ${uri}`, error.message);
+        }
+    }
+
+    // 모든 위키의 페이지 확장자를 포함하는 glob (**/*.md, **/*.{md,wiki})
+    _getPageGlob(wikis) {
+        const extensions = [
+            ...new Set(wikis.map((wiki) => wiki.extension.substring(1))),
+        ];
+
+        return extensions.length === 1
+            ? `**/*.${extensions[0]}`
+            : `**/*.{${extensions.join(",")}}`;
+    }
+
+    _handleInitialize(params) {
+        try {
+            // initializationOptions는 null일 수도 있음
+            const wikis = this.registry.load(
+                params.initializationOptions ?? {}
+            );
+            this.clientWatchesFiles =
+                !!params.capabilities?.workspace?.didChangeWatchedFiles
+                    ?.dynamicRegistration;
+
+            for (const wiki of wikis) {
+                wiki.fileCache.onChange(() =>
+                    this._schedulePublishAllDiagnostics()
+                );
+
+                // 백그라운드에서 초기화 (비블로킹)
+                wiki.fileCache.initialize(wiki.root).catch((error) => {
+                    logger.log("캐시 초기화 실패:", error.message);
+                });
+            }
+
+            return {
+                capabilities: {
+                    textDocumentSync: {
+                        openClose: true,
+                        change: TextDocumentSyncKind.Incremental,
+                        willSaveWaitUntil: true,
+                    },
+                    completionProvider: {
+                        triggerCharacters: ["[", "#", ":", "("],
+                    },
+                    hoverProvider: true,
+                    definitionProvider: true,
+                    referencesProvider: true,
+                    documentSymbolProvider: true,
+                    workspaceSymbolProvider: true,
+                    renameProvider: { prepareProvider: true },
+                    codeActionProvider: {
+                        codeActionKinds: [CodeActionKind.QuickFix],
+                    },
+                    documentLinkProvider: { resolveProvider: false },
+                    executeCommandProvider: {
+                        commands: Object.values(COMMANDS),
+                    },
+                    workspace: {
+                        fileOperations: {
+                            willRename: {
+                                filters: [
+                                    {
+                                        scheme: "file",
+                                        pattern: {
+                                            glob: this._getPageGlob(wikis),
+                                            matches: "file",
+                                        },
+                                    },
+                                    {
+                                        scheme: "file",
+                                        pattern: {
+                                            glob: "**/*",
+                                            matches: "folder",
+                                        },
+                                    },
+                                ],
+                            },
+                        },
+                    },
+                },
+            };
+        } catch (error) {
+            logger.log("LSP 초기화 실패:", error.message);
+            return { capabilities: {} };
+        }
+    }
+
+    // 클라이언트에 페이지 파일 감시를 등록하고, 지원하지 않거나 실패하면 fs.watch 사용
+    // 폴더를 지우거나 옮기면 폴더 경로 하나만 알려 주는 클라이언트가 많아
+    // 모든 경로의 생성, 삭제도 감시 (폴더면 하위 페이지 전체를 반영)
+    async _handleInitialized() {
+        const { wikis } = this.registry;
+
+        for (const wiki of wikis) {
+            if (wiki.fileCache.indexing) this._reportIndexingProgress(wiki);
+        }
+
+        if (this.clientWatchesFiles) {
+            try {
+                await this.connection.client.register(
+                    DidChangeWatchedFilesNotification.type,
+                    {
+                        watchers: [
+                            { globPattern: this._getPageGlob(wikis) },
+                            {
+                                globPattern: "**/*",
+                                kind: WatchKind.Create | WatchKind.Delete,
+                            },
+                        ],
+                    }
+                );
+                for (const wiki of wikis) wiki.fileCache.enableChangeEvents();
+                return;
+            } catch (error) {
+                logger.log("파일 감시 등록 실패:", error.message);
+                this.clientWatchesFiles = false;
+            }
+        }
+
+        for (const wiki of wikis) wiki.fileCache.watch();
+    }
+
+    // 초기 인덱싱 진행 상황을 window/workDoneProgress로 표시 (퍼센트가 바뀔 때만 보고)
+    async _reportIndexingProgress(wiki) {
+        try {
+            const progress =
+                await this.connection.window.createWorkDoneProgress();
+            progress.begin(
+                `위키 인덱싱: ${wiki.name || path.basename(wiki.root)}`,
+                0
+            );
+
+            let lastPercentage = -1;
+            const unsubscribe = wiki.fileCache.onProgress((done, total) => {
+                const percentage = Math.floor((done / total) * 100);
+                if (percentage === lastPercentage) return;
+
+                lastPercentage = percentage;
+                progress.report(percentage, `${done}/${total}`);
+            });
+
+            await wiki.fileCache.ready(wiki.root);
+            unsubscribe();
+            progress.done();
+        } catch (error) {
+            logger.log("인덱싱 진행 상황 보고 실패:", error.message);
+        }
+    }
+
+    // 변경된 파일을 해당 위키의 인덱스에 바로 반영
+    _handleDidChangeWatchedFiles({ changes }) {
+        for (const { uri } of changes || []) {
+            try {
+                const filePath = PathUtils.fromUri(uri);
+                const wiki = this.registry.findByPath(filePath);
+                if (wiki) wiki.fileCache.applyFileChange(filePath);
+            } catch (error) {
+                logger.log(`파일 변경 처리 실패: ${uri}`, error.message);
+            }
+        }
+    }
+
+    async _handleHover({ textDocument, position }) {
+        try {
+            const doc = this.documents.get(textDocument.uri);
+            if (!doc) return null;
+
+            const lines = doc.getText().split("\n");
+            if (!lines[position.line]) return null;
+
+            const wiki = this._getWiki(textDocument.uri);
+            if (!wiki) return null;
+
+            const line = lines[position.line];
+            const currentPath = PathUtils.fromUri(textDocument.uri);
+            const currentDir = path.dirname(currentPath);
+            const wikiLink = WikiLinkParser.extractAt(
+                doc.getText(),
+                position,
+                wiki.syntax,
+                wiki.extension
+            );
+            if (!wikiLink) {
+                const image = MarkdownLinkParser.findImageAt(
+                    line,
+                    position.character
+                );
+                if (image) {
+                    return wiki.resolver.resolveImageHover(
+                        image.target,
+                        currentDir
+                    );
+                }
+
+                const url = UrlParser.findAt(line, position.character);
+                if (url) return wiki.resolver.resolveUrlHover(url);
+
+                const tag = TagParser.findTagAt(
+                    doc.getText(),
+                    position,
+                    wiki.syntax
+                );
+                return tag ? await wiki.resolver.resolveTagHover(tag) : null;
+            }
+
+            const link = WikiLinkParser.parse(wikiLink);
+            if (!link) return null;
+            if (link.isExternal) {
+                return wiki.resolver.resolveUrlHover(link.target);
+            }
+
+            // [[file:a.png]], 기본 문법의 {{a.png}} 같은 로컬 이미지
+            const isFileLink = ["file", "local"].includes(link.scheme);
+            if (isFileLink && MarkdownLinkParser.isImagePath(link.target)) {
+                return wiki.resolver.resolveImageHover(link.target, currentDir);
+            }
+
+            if (link.anchor) {
+                const section = await wiki.resolver.resolveSection(
+                    wikiLink,
+                    currentDir,
+                    currentPath
+                );
+                if (section) {
+                    return {
+                        contents: {
+                            kind: MarkupKind.Markdown,
+                            value: section.fileInfo.toSectionHoverContent(
+                                section.heading,
+                                section.sectionText
+                            ),
+                        },
+                    };
+                }
+            }
+
+            // 링크 수와 발췌는 대상 페이지가 속한 위키 기준
+            const targetPath = await wiki.resolver.resolvePath(
+                wikiLink,
+                currentDir,
+                currentPath
+            );
+            const targetWiki =
+                (targetPath && this.registry.findByPath(targetPath)) || wiki;
+            const content = targetPath
+                ? targetWiki.resolver.getPageHoverContent(targetPath)
+                : null;
+
             return {
                 contents: {
                     kind: MarkupKind.Markdown,
-                    value: fileInfo.toHoverContent(),
+                    value:
+                        content ||
+                        `**${link.target}**\n\n*파일을 찾을 수 없음*`,
                 },
             };
         } catch (error) {
@@ -737,18 +5252,131 @@ class WikiLSP {
             const lines = doc.getText().split("\n");
             if (!lines[position.line]) return [];
 
+            const wiki = this._getWiki(textDocument.uri);
+            if (!wiki) return [];
+
             const line = lines[position.line];
-            const query = WikiLinkParser.findCompletionTrigger(
+            const anchorTrigger = WikiLinkParser.findAnchorCompletionTrigger(
+                line,
+                position.character
+            );
+            if (anchorTrigger !== null) {
+                return await wiki.resolver.searchHeadingsForCompletion(
+                    anchorTrigger.target,
+                    textDocument.uri,
+                    {
+                        start: {
+                            line: position.line,
+                            character: anchorTrigger.start,
+                        },
+                        end: {
+                            line: position.line,
+                            character: anchorTrigger.end,
+                        },
+                    },
+                    doc.getText()
+                );
+            }
+
+            const diaryTrigger = WikiLinkParser.findDiaryCompletionTrigger(
                 line,
                 position.character
             );
+            if (diaryTrigger !== null) {
+                const items = await wiki.diary.searchForCompletion(
+                    diaryTrigger.query,
+                    {
+                        start: {
+                            line: position.line,
+                            character: diaryTrigger.start,
+                        },
+                        end: {
+                            line: position.line,
+                            character: diaryTrigger.end,
+                        },
+                    },
+                    wiki.resolver.maxCompletionResults
+                );
+                return { isIncomplete: true, items };
+            }
 
-            // query가 null이 아니면 자동완성 제공 (빈 문자열도 포함)
-            if (query !== null) {
-                return await this.resolver.searchForCompletion(
+            // [텍스트]( 뒤에서는 상대 경로와 확장자를 뺀 부분으로 검색
+            const markdownTrigger =
+                SyntaxUtils.get(wiki.syntax).hasMarkdownLinks &&
+                MarkdownLinkParser.findCompletionTrigger(
+                    line,
+                    position.character
+                );
+            if (markdownTrigger) {
+                const query = FileUtils.removeExtension(
+                    markdownTrigger.query
+                        .replace(/^(?:\.{1,2}\/)+/, "")
+                        .replace(/%20/g, " "),
+                    wiki.extension
+                );
+                const items = await wiki.resolver.searchForCompletion(
                     query,
-                    textDocument.uri
+                    textDocument.uri,
+                    {
+                        start: {
+                            line: position.line,
+                            character: markdownTrigger.start,
+                        },
+                        end: {
+                            line: position.line,
+                            character: markdownTrigger.end,
+                        },
+                    },
+                    true
+                );
+                return { isIncomplete: true, items };
+            }
+
+            const trigger = WikiLinkParser.findCompletionTrigger(
+                line,
+                position.character
+            );
+
+            // trigger가 null이 아니면 자동완성 제공 (빈 검색어도 포함)
+            if (trigger !== null) {
+                const range = {
+                    start: { line: position.line, character: trigger.start },
+                    end: { line: position.line, character: trigger.end },
+                };
+                const items = await wiki.resolver.searchForCompletion(
+                    trigger.query,
+                    textDocument.uri,
+                    range
+                );
+                items.push(
+                    ...wiki.diary.getRelativeDateItems(
+                        trigger.query,
+                        range,
+                        "diary:",
+                        items.length
+                    )
+                );
+                // 결과가 잘려 있으므로 입력할 때마다 다시 요청하게 함
+                return { isIncomplete: true, items };
+            }
+
+            const tagTrigger = TagParser.findCompletionTrigger(
+                doc.getText(),
+                position,
+                wiki.syntax
+            );
+            if (tagTrigger !== null) {
+                const items = await wiki.resolver.searchTagsForCompletion(
+                    tagTrigger.query,
+                    {
+                        start: {
+                            line: position.line,
+                            character: tagTrigger.start,
+                        },
+                        end: { line: position.line, character: tagTrigger.end },
+                    }
                 );
+                return this._toCompletionResult(wiki, items);
             }
 
             return [];
@@ -758,6 +5386,501 @@ class WikiLSP {
         }
     }
 
+    async _handleDefinition({ textDocument, position }) {
+        try {
+            const doc = this.documents.get(textDocument.uri);
+            if (!doc) return null;
+
+            const lines = doc.getText().split("\n");
+            if (!lines[position.line]) return null;
+
+            const wiki = this._getWiki(textDocument.uri);
+            if (!wiki) return null;
+
+            const wikiLink = WikiLinkParser.extractAt(
+                doc.getText(),
+                position,
+                wiki.syntax,
+                wiki.extension
+            );
+            if (!wikiLink) return null;
+
+            const currentPath = PathUtils.fromUri(textDocument.uri);
+            return await wiki.resolver.resolveForDefinition(
+                wikiLink,
+                path.dirname(currentPath),
+                currentPath
+            );
+        } catch (error) {
+            logger.log("정의 이동 처리 실패:", error.message);
+            return null;
+        }
+    }
+
+    // 링크 위에서는 링크 대상, 그 외에는 현재 페이지를 참조하는 위치 반환
+    async _handleReferences({ textDocument, position, context }) {
+        try {
+            const doc = this.documents.get(textDocument.uri);
+            if (!doc) return [];
+
+            const wiki = this._getWiki(textDocument.uri);
+            if (!wiki) return [];
+
+            const currentPath = PathUtils.fromUri(textDocument.uri);
+            const currentDir = path.dirname(currentPath);
+            const wikiLink = WikiLinkParser.extractAt(
+                doc.getText(),
+                position,
+                wiki.syntax,
+                wiki.extension
+            );
+
+            const targetPath = wikiLink
+                ? await wiki.resolver.resolvePath(wikiLink, currentDir)
+                : currentPath;
+            if (!targetPath) return [];
+
+            // 대상 페이지가 속한 위키의 역링크 사용
+            const targetWiki = this.registry.findByPath(targetPath) || wiki;
+            const locations = await targetWiki.resolver.findReferences(
+                targetPath
+            );
+
+            if (context?.includeDeclaration) {
+                const start = { line: 0, character: 0 };
+                locations.unshift({
+                    uri: PathUtils.toUri(targetPath),
+                    range: { start, end: start },
+                });
+            }
+
+            return locations;
+        } catch (error) {
+            logger.log("참조 검색 처리 실패:", error.message);
+            return [];
+        }
+    }
+
+    // 저장되지 않은 편집도 반영되도록 열린 문서의 내용으로 개요 생성
+    _handleDocumentSymbol({ textDocument }) {
+        try {
+            const doc = this.documents.get(textDocument.uri);
+            const wiki = this._getWiki(textDocument.uri);
+            if (!doc || !wiki) return [];
+
+            return DocumentSymbolBuilder.build(
+                doc.getText(),
+                FileUtils.getPageName(
+                    PathUtils.fromUri(textDocument.uri),
+                    wiki.extension
+                ),
+                wiki.syntax
+            );
+        } catch (error) {
+            logger.log("문서 심볼 처리 실패:", error.message);
+            return [];
+        }
+    }
+
+    // 모든 위키의 결과를 점수순으로 합침
+    async _handleWorkspaceSymbol({ query }) {
+        try {
+            const results = await Promise.all(
+                this.registry.wikis.map((wiki) =>
+                    wiki.resolver.searchWorkspaceSymbols(query || "")
+                )
+            );
+            return results
+                .flat()
+                .sort((a, b) => b.score - a.score)
+                .slice(0, CONFIG.MAX_WORKSPACE_SYMBOLS)
+                .map(({ symbol }) => symbol);
+        } catch (error) {
+            logger.log("워크스페이스 심볼 처리 실패:", error.message);
+            return [];
+        }
+    }
+
+    // 커서 위치의 링크 대상 또는 현재 페이지를 이름 변경 대상으로 결정
+    async _findRenameTarget(textDocument, position) {
+        const doc = this.documents.get(textDocument.uri);
+        const wiki = this._getWiki(textDocument.uri);
+        if (!doc || !wiki) return null;
+
+        const currentPath = PathUtils.fromUri(textDocument.uri);
+        const line = doc.getText().split("\n")[position.line] || "";
+        const match = WikiLinkParser.findAt(
+            line,
+            position.character,
+            wiki.syntax,
+            wiki.extension
+        );
+
+        // 링크 밖이면 현재 페이지 (이름 변경 위치는 페이지 제목)
+        if (!match) {
+            return {
+                filePath: currentPath,
+                range: RenameProvider.findTitleRange(
+                    doc.getText(),
+                    wiki.syntax
+                ),
+            };
+        }
+
+        const filePath = await wiki.resolver.resolvePath(
+            match.link,
+            path.dirname(currentPath)
+        );
+        if (!filePath) return null;
+
+        // 이미지, 첨부 파일, 다른 위키로의 링크는 페이지 이름 변경 대상이 아님
+        const { scheme } = WikiLinkParser.parse(match.link);
+        if (
+            (scheme !== null && scheme !== "diary") ||
+            !FileUtils.isPageFile(filePath, wiki.extension)
+        ) {
+            throw new ResponseError(
+                ErrorCodes.InvalidRequest,
+                "페이지가 아닌 링크는 이름을 바꿀 수 없음"
+            );
+        }
+
+        // 마크다운 링크는 대상 경로 부분, 위키 링크는 [[ 뒤의 경로 부분
+        const start =
+            match.destination !== undefined
+                ? match.targetStart
+                : match.start + 2;
+        const end =
+            match.destination !== undefined
+                ? match.targetEnd
+                : start + WikiLinkParser.parse(match.link).pathLength;
+        return {
+            filePath,
+            range: {
+                start: { line: position.line, character: start },
+                end: { line: position.line, character: end },
+            },
+        };
+    }
+
+    async _handlePrepareRename({ textDocument, position }) {
+        try {
+            const target = await this._findRenameTarget(textDocument, position);
+            if (!target) {
+                return new ResponseError(
+                    ErrorCodes.InvalidRequest,
+                    "존재하지 않는 페이지는 이름을 바꿀 수 없음"
+                );
+            }
+
+            const wiki = this.registry.findByPath(target.filePath);
+            if (!wiki || !target.range) return null;
+
+            return {
+                range: target.range,
+                placeholder: wiki.renamer.toWikiPath(target.filePath),
+            };
+        } catch (error) {
+            logger.log("이름 변경 준비 실패:", error.message);
+            return error instanceof ResponseError ? error : null;
+        }
+    }
+
+    async _handleRename({ textDocument, position, newName }) {
+        try {
+            const target = await this._findRenameTarget(textDocument, position);
+            if (!target) {
+                return new ResponseError(
+                    ErrorCodes.InvalidRequest,
+                    "존재하지 않는 페이지는 이름을 바꿀 수 없음"
+                );
+            }
+
+            // 페이지가 속한 위키 안에서만 이름 변경
+            const wiki = this.registry.findByPath(target.filePath);
+            if (!wiki) {
+                return new ResponseError(
+                    ErrorCodes.InvalidRequest,
+                    "위키 밖의 파일은 이름을 바꿀 수 없음"
+                );
+            }
+
+            return await wiki.renamer.rename(target.filePath, newName);
+        } catch (error) {
+            logger.log("이름 변경 처리 실패:", error.message);
+            return error instanceof ResponseError
+                ? error
+                : new ResponseError(ErrorCodes.InvalidRequest, error.message);
+        }
+    }
+
+    // 이동하는 파일이 속한 위키별로 링크 편집을 계산해 합침
+    async _handleWillRenameFiles({ files }) {
+        try {
+            const filesByWiki = new Map();
+            for (const file of files) {
+                const wiki = this.registry.findByPath(
+                    PathUtils.fromUri(file.oldUri)
+                );
+                if (!wiki) continue;
+
+                if (!filesByWiki.has(wiki)) filesByWiki.set(wiki, []);
+                filesByWiki.get(wiki).push(file);
+            }
+
+            const documentChanges = [];
+            for (const [wiki, wikiFiles] of filesByWiki) {
+                const edit = await wiki.renamer.willRenameFiles(wikiFiles);
+                if (edit) documentChanges.push(...edit.documentChanges);
+            }
+
+            return documentChanges.length > 0 ? { documentChanges } : null;
+        } catch (error) {
+            logger.log("파일 이동 처리 실패:", error.message);
+            return null;
+        }
+    }
+
+    // 위키 전체 또는 page 주변(depth 단계)의 링크 그래프
+    async _handleGraph(params = {}) {
+        try {
+            const wiki = this.registry.findByParams(params);
+            if (!wiki) {
+                return new ResponseError(
+                    ErrorCodes.InvalidParams,
+                    "위키를 찾을 수 없음"
+                );
+            }
+
+            const depth = Number.isInteger(params.depth)
+                ? Math.max(params.depth, 0)
+                : CONFIG.GRAPH_DEPTH;
+            return await wiki.graph.build({
+                page: params.page || null,
+                depth,
+                format: params.format === "dot" ? "dot" : "json",
+            });
+        } catch (error) {
+            logger.log("링크 그래프 생성 실패:", error.message);
+            return new ResponseError(ErrorCodes.InvalidParams, error.message);
+        }
+    }
+
+    // requiredKeys가 주어지면 설정의 필수 키 대신 사용
+    async _handleReport(params = {}) {
+        try {
+            const wiki = this._getCommandWiki(params);
+            return await wiki.reporter.build(
+                Array.isArray(params.requiredKeys)
+                    ? { requiredKeys: params.requiredKeys }
+                    : {}
+            );
+        } catch (error) {
+            logger.log("위키 보고서 생성 실패:", error.message);
+            return new ResponseError(ErrorCodes.InvalidParams, error.message);
+        }
+    }
+
+    // 저장되지 않은 편집도 반영되도록 열린 문서의 내용으로 링크 목록 생성
+    async _handleDocumentLinks({ textDocument }) {
+        try {
+            const doc = this.documents.get(textDocument.uri);
+            const wiki = this._getWiki(textDocument.uri);
+            if (!doc || !wiki) return [];
+
+            return await wiki.resolver.getDocumentLinks(
+                doc.getText(),
+                PathUtils.fromUri(textDocument.uri)
+            );
+        } catch (error) {
+            logger.log("문서 링크 처리 실패:", error.message);
+            return [];
+        }
+    }
+
+    // 끊어진 링크 진단마다 "페이지 생성" 빠른 수정 제공
+    _handleCodeAction({ textDocument, context }) {
+        try {
+            const doc = this.documents.get(textDocument.uri);
+            const wiki = this._getWiki(textDocument.uri);
+            if (!doc || !wiki) return [];
+
+            const sourcePath = PathUtils.fromUri(textDocument.uri);
+            const currentDir = path.dirname(sourcePath);
+            const lines = doc.getText().split("\n");
+            const actions = [];
+
+            for (const diagnostic of context.diagnostics || []) {
+                if (diagnostic.code !== DIAGNOSTIC_CODES.BROKEN_LINK) continue;
+
+                const { start } = diagnostic.range;
+                const wikiLink = WikiLinkParser.extract(
+                    lines[start.line] || "",
+                    start.character,
+                    wiki.syntax,
+                    wiki.extension
+                );
+                const targetPath = wiki.pageCreator.getTargetPath(
+                    wikiLink,
+                    currentDir
+                );
+                if (!targetPath) continue;
+
+                const wikiPath = FileUtils.removeExtension(
+                    path.relative(wiki.root, targetPath),
+                    wiki.extension
+                );
+                actions.push({
+                    title: `페이지 생성: ${wikiPath}`,
+                    kind: CodeActionKind.QuickFix,
+                    diagnostics: [diagnostic],
+                    isPreferred: true,
+                    command: {
+                        title: "페이지 생성",
+                        command: COMMANDS.CREATE_PAGE,
+                        arguments: [
+                            PathUtils.toUri(targetPath),
+                            textDocument.uri,
+                        ],
+                    },
+                });
+            }
+
+            return actions;
+        } catch (error) {
+            logger.log("코드 액션 처리 실패:", error.message);
+            return [];
+        }
+    }
+
+    async _handleExecuteCommand({ command, arguments: args = [] }) {
+        try {
+            switch (command) {
+                case COMMANDS.CREATE_PAGE: {
+                    const [targetUri, sourceUri] = args;
+                    const wiki = this._getWiki(targetUri);
+                    if (!wiki) throw new Error("위키를 찾을 수 없음");
+
+                    await wiki.pageCreator.createPage(
+                        PathUtils.fromUri(targetUri),
+                        PathUtils.fromUri(sourceUri)
+                    );
+                    this._showDocument(targetUri);
+                    return targetUri;
+                }
+                case COMMANDS.MAKE_DIARY_NOTE: {
+                    const [params = {}] = args;
+                    const wiki = this._getCommandWiki(params);
+
+                    const uri = PathUtils.toUri(
+                        await wiki.diary.makeNote(params.date)
+                    );
+                    this._showDocument(uri);
+                    return uri;
+                }
+                case COMMANDS.DIARY_NEXT_DAY:
+                case COMMANDS.DIARY_PREV_DAY: {
+                    const [params = {}] = args;
+                    const wiki = this._getCommandWiki(params);
+
+                    const entryPath = await wiki.diary.findAdjacentEntry(
+                        params.uri ? PathUtils.fromUri(params.uri) : null,
+                        command === COMMANDS.DIARY_NEXT_DAY ? 1 : -1
+                    );
+                    if (!entryPath) return null;
+
+                    const uri = PathUtils.toUri(entryPath);
+                    this._showDocument(uri);
+                    return uri;
+                }
+                case COMMANDS.DIARY_GENERATE_LINKS: {
+                    const [params = {}] = args;
+                    const wiki = this._getCommandWiki(params);
+
+                    const { uri, edit } = await wiki.diary.buildIndexEdit();
+                    const { applied } =
+                        await this.connection.workspace.applyEdit(edit);
+                    if (!applied) {
+                        throw new Error("일기 인덱스 편집이 적용되지 않음");
+                    }
+                    return uri;
+                }
+                case COMMANDS.REPORT: {
+                    const [params = {}] = args;
+                    return await this._handleReport(params);
+                }
+                default:
+                    return new ResponseError(
+                        ErrorCodes.MethodNotFound,
+                        `알 수 없는 명령: ${command}`
+                    );
+            }
+        } catch (error) {
+            logger.log(`명령 실행 실패: ${command}`, error.message);
+            return new ResponseError(ErrorCodes.InternalError, error.message);
+        }
+    }
+
+    // 명령 인자({ uri } 또는 { wiki })로 위키 선택 (없으면 첫 번째 위키)
+    _getCommandWiki(params) {
+        const wiki = this.registry.findByParams(params || {});
+        if (!wiki) throw new Error("위키를 찾을 수 없음");
+        return wiki;
+    }
+
+    _showDocument(uri) {
+        this.connection.window
+            .showDocument({ uri, takeFocus: true })
+            .catch(() => {});
+    }
+
+    // 저장 직전 frontmatter의 updated 갱신 (새 페이지에는 메타데이터 추가)
+    _handleWillSaveWaitUntil(document) {
+        try {
+            const wiki = this._getWiki(document.uri);
+            if (!wiki) return [];
+
+            return wiki.metadataUpdater.computeSaveEdits(
+                document.getText(),
+                PathUtils.fromUri(document.uri)
+            );
+        } catch (error) {
+            logger.log("저장 전 메타데이터 갱신 실패:", error.message);
+            return [];
+        }
+    }
+
+    async _publishDiagnostics(document) {
+        const wiki = this._getWiki(document.uri);
+        if (!wiki) return;
+
+        try {
+            const diagnostics = await wiki.diagnostics.computeDiagnostics(
+                document.getText(),
+                document.uri
+            );
+            this.connection.sendDiagnostics({ uri: document.uri, diagnostics });
+        } catch (error) {
+            logger.log("진단 게시 실패:", error.message);
+        }
+    }
+
+    // 파일 변경이 몰려도 진단은 한 번만 갱신
+    _schedulePublishAllDiagnostics() {
+        clearTimeout(this.publishTimer);
+        this.publishTimer = setTimeout(() => {
+            this.publishTimer = null;
+            this._publishAllDiagnostics();
+        }, CONFIG.CHANGE_DEBOUNCE);
+    }
+
+    // 위키 인덱스가 바뀌면 열린 모든 문서의 진단 갱신
+    _publishAllDiagnostics() {
+        for (const document of this.documents.all()) {
+            this._publishDiagnostics(document);
+        }
+    }
+
     start() {
         this.connection.listen();
     }